@@ -0,0 +1,120 @@
+// Muëcy Ops — Who may talk to the bot
+//
+// A Telegram message is handled only if its sender or its chat is allowed:
+//   - TELEGRAM_ALLOWED_IDS (comma separated user / chat ids), plus the owner's
+//     OWNER_TELEGRAM_USER_ID / TELEGRAM_CHAT_ID; the users among them (not
+//     the members of a listed group) can also "invitar"
+//   - TelegramAccess rows, added by pairing: "invitar" gives a one-time code,
+//     the new person sends "/start <code>" (private chat: that person; group:
+//     the whole group). A team join code ("soy: K7F3Q2") pairs too.
+// Everyone else gets one line explaining how to get access, and no User row.
+import crypto from "node:crypto";
+import { prisma } from "./db.js";
+
+const PAIRING_HOURS = 24;
+
+// Compares secrets without leaking their length or content through timing
+export function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const ha = crypto.createHash("sha256").update(a).digest();
+  const hb = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function listIds(value) {
+  return String(value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+// Ids from the environment: allowed; as the sender, also admins (pairing codes)
+export function adminTelegramIds() {
+  return [
+    ...listIds(process.env.TELEGRAM_ALLOWED_IDS),
+    ...listIds(process.env.OWNER_TELEGRAM_USER_ID),
+    ...listIds(process.env.TELEGRAM_CHAT_ID),
+  ];
+}
+
+// Only the sender counts: a group in TELEGRAM_CHAT_ID doesn't make its members admins
+export function isTelegramAdmin({ fromId, chatId }) {
+  return adminTelegramIds().includes(String(fromId || chatId));
+}
+
+export async function isTelegramAllowed({ fromId, chatId }) {
+  if (isTelegramAdmin({ fromId, chatId }) || adminTelegramIds().includes(String(chatId))) return true;
+
+  const ids = [...new Set([fromId, chatId].filter(Boolean).map(String))];
+  const access = await prisma.telegramAccess.findFirst({ where: { telegramId: { in: ids } } });
+  return Boolean(access);
+}
+
+/* =========================
+PAIRING
+========================= */
+
+function newPairingCode() {
+  return crypto.randomBytes(6).toString("base64url").replace(/[-_]/g, "X").slice(0, 8).toUpperCase();
+}
+
+export function createPairingCode(user) {
+  return prisma.pairingCode.create({
+    data: {
+      createdById: user.id,
+      code: newPairingCode(),
+      expiresAt: new Date(Date.now() + PAIRING_HOURS * 3600 * 1000),
+    },
+  });
+}
+
+// "/start CODE", "soy: CODE" -> "CODE" (the only messages a stranger can send)
+export function accessCodeFrom(text) {
+  const m = String(text || "").trim().match(/^\/?(?:start|soy|join)(?:@\w+)?(?:\s*:|\s+)\s*(\S+)$/i);
+  return m ? m[1].toUpperCase() : null;
+}
+
+/**
+ * Authorizes the sender (private chat) or the group (group chat) with a
+ * pairing code or a team join code. Pairing codes are single use; a join
+ * code is used up by "soy:" / "/start" right after (linkMember).
+ * Returns the TelegramAccess row, or null for an unknown / used / expired code.
+ */
+export async function redeemAccessCode(code, { fromId, chatId, name }) {
+  const telegramId = String(chatId);
+  const label = name || null;
+
+  const pairing = await prisma.pairingCode.findUnique({ where: { code } });
+  if (pairing) {
+    if (pairing.usedAt || pairing.expiresAt < new Date()) return null;
+
+    // Claim it first so two chats can't use the same code
+    const claimed = await prisma.pairingCode.updateMany({
+      where: { id: pairing.id, usedAt: null },
+      data: { usedAt: new Date(), usedBy: telegramId },
+    });
+    if (!claimed.count) return null;
+
+    return prisma.telegramAccess.upsert({
+      where: { telegramId },
+      update: {},
+      create: { telegramId, label, pairedById: pairing.createdById },
+    });
+  }
+
+  const member = await prisma.teamMember.findUnique({ where: { joinCode: code } });
+  if (!member) return null;
+
+  // Crew members pair themselves, not a group they happen to write from
+  const personId = String(fromId || chatId);
+  return prisma.telegramAccess.upsert({
+    where: { telegramId: personId },
+    update: {},
+    create: { telegramId: personId, label: label || member.name, pairedById: member.ownerId },
+  });
+}
+
+export function listTelegramAccess() {
+  return prisma.telegramAccess.findMany({ orderBy: { createdAt: "asc" } });
+}
+
+export function revokeTelegramAccess(access) {
+  return prisma.telegramAccess.delete({ where: { id: access.id } });
+}
@@ -0,0 +1,83 @@
+// Muëcy Ops — Access commands (invitar, accesos, acceso borrar); admins only
+import { DateTime } from "luxon";
+import { prefix, exact } from "./parse.js";
+import { userPrefs } from "./users.js";
+import { isTelegramAdmin, createPairingCode, listTelegramAccess, revokeTelegramAccess } from "./access.js";
+
+const ADMIN_ONLY_MSG = "🔒 Solo para el administrador (TELEGRAM_ALLOWED_IDS).";
+
+// Same command shape, refusing anyone who isn't an admin
+export function adminCommand(cmd) {
+  return {
+    ...cmd,
+    async run(ctx, args) {
+      if (!isTelegramAdmin(ctx)) {
+        await ctx.reply(ADMIN_ONLY_MSG);
+        return;
+      }
+      await cmd.run(ctx, args);
+    },
+  };
+}
+
+export const accessCommands = [
+  adminCommand({
+    name: "invitar",
+    section: "Acceso",
+    help: ["invitar   (código de un solo uso, 24 h: la otra persona envía /start CÓDIGO)"],
+    parse: exact("invitar", "/invite", "invite"),
+    async run(ctx) {
+      const { code } = await createPairingCode(ctx.user);
+      const bot = process.env.TELEGRAM_BOT_USERNAME;
+      await ctx.reply(
+        [
+          "🎟️ Código de acceso (un solo uso, válido 24 h):",
+          `/start ${code}`,
+          bot ? `Link: https://t.me/${bot}?start=${code}` : null,
+          "En un grupo, autoriza a todo el grupo.",
+        ]
+          .filter(Boolean)
+          .join("\n")
+      );
+    },
+  }),
+
+  adminCommand({
+    name: "accesos",
+    section: "Acceso",
+    help: ["accesos   |   acceso borrar: 2"],
+    parse: exact("accesos", "/access"),
+    async run(ctx) {
+      const list = await listTelegramAccess();
+      const { zone, locale } = userPrefs(ctx.user);
+      const day = (d) => DateTime.fromJSDate(d).setZone(zone).setLocale(locale).toFormat("d LLL");
+
+      await ctx.reply(
+        [
+          "🔐 Accesos por código:",
+          ...(list.length
+            ? list.map((a, i) => `${i + 1}) ${a.label || "(sin nombre)"} · ${a.telegramId} — desde ${day(a.createdAt)}`)
+            : ["• Ninguno"]),
+          "",
+          "Más los IDs de TELEGRAM_ALLOWED_IDS.",
+        ].join("\n")
+      );
+    },
+  }),
+
+  adminCommand({
+    name: "acceso borrar",
+    parse: prefix("acceso borrar", "access revoke"),
+    async run(ctx, { payload }) {
+      const list = await listTelegramAccess();
+      const access = list[Number(payload) - 1];
+      if (!access) {
+        await ctx.reply("❌ Ese acceso no existe. Ver: accesos");
+        return;
+      }
+
+      await revokeTelegramAccess(access);
+      await ctx.reply(`🗑️ Acceso revocado: ${access.label || access.telegramId}`);
+    },
+  }),
+];
@@ -0,0 +1,294 @@
+// Muëcy Ops — Account commands (conectar, web, feed, yo, tokens, config)
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { prefix, exact } from "./parse.js";
+import { sign } from "./signing.js";
+import { WEEKDAYS, isValidZone, normalize } from "./when.js";
+import { userNow, userPrefs } from "./users.js";
+import { parseClock } from "./briefing.js";
+import { parseReportTime, formatWeekly } from "./reports.js";
+import { parseQuietHours } from "./reminderTimes.js";
+import { parseWorkingHours, workingHours } from "./calendar.js";
+import { createApiToken, listApiTokens } from "./apiTokens.js";
+import { webLoginUrl } from "./web.js";
+import { feedUrl, enableFeed, disableFeed } from "./feed.js";
+
+const LOCALES = ["es", "en"];
+
+function formatHours({ start, end }) {
+  const hhmm = (t) => `${String(t.hour).padStart(2, "0")}:${String(t.minute).padStart(2, "0")}`;
+  return `${hhmm(start)}-${hhmm(end)}`;
+}
+
+// Reminders' quiet hours: the user's, else REMINDER_QUIET_HOURS
+function formatQuiet(u) {
+  const q = parseQuietHours(u.quietHours ?? undefined);
+  const text = q && q.from !== q.to ? `${q.from}-${q.to}` : "apagado";
+  return u.quietHours == null ? `${text} (por defecto)` : text;
+}
+
+function formatConfig(u) {
+  return [
+    "⚙️ Config:",
+    `• tz: ${u.timezone} (ahora ${userNow(u).toFormat("HH:mm")})`,
+    `• idioma: ${u.locale}`,
+    `• briefing: ${u.briefingTime}`,
+    `• horario: ${formatHours(workingHours(u))}${u.workHours ? "" : " (por defecto)"}`,
+    `• silencio: ${formatQuiet(u)}`,
+    `• resumen: ${u.recapTime || "apagado"}`,
+    `• semanal: ${formatWeekly(u)}`,
+  ].join("\n");
+}
+
+// Links and tokens that act as the user go only to a private chat: in a
+// group anyone could open them first
+async function privateChatOnly(ctx) {
+  if (ctx.chatId === ctx.fromId) return true;
+  await ctx.reply("🔒 Esto solo por privado: escríbeme directamente (no en el grupo).");
+  return false;
+}
+
+export const accountCommands = [
+  {
+    name: "conectar",
+    section: "Cuenta",
+    help: ["conectar   (link para conectar tu Google)"],
+    parse: exact("conectar", "/connect", "connect", "google"),
+    async run(ctx) {
+      if (!(await privateChatOnly(ctx))) return;
+      const base = process.env.APP_BASE_URL;
+      if (!base) {
+        await ctx.reply("⚠️ Falta APP_BASE_URL en el servidor.");
+        return;
+      }
+
+      // Link válido 15 min, atado a este usuario y este chat
+      const state = sign({ uid: ctx.user.id, chat: ctx.chatId, kind: "oauth" }, 15 * 60);
+      await ctx.reply(
+        [
+          "🔐 Conecta tu Google (válido 15 min):",
+          `${base}/auth/google?s=${encodeURIComponent(state)}`,
+        ].join("\n")
+      );
+    },
+  },
+
+  {
+    name: "web",
+    section: "Cuenta",
+    help: ["web   (link para entrar al tablero web)"],
+    parse: exact("web", "/web", "dashboard", "tablero"),
+    async run(ctx) {
+      if (!(await privateChatOnly(ctx))) return;
+      const url = await webLoginUrl(ctx.user);
+      if (!url) {
+        await ctx.reply("⚠️ Falta APP_BASE_URL en el servidor.");
+        return;
+      }
+      // Sin vista previa: Telegram abriría el link y lo gastaría (es de un solo uso)
+      await ctx.reply(`🖥️ Tablero web (link de un solo uso, válido 15 min):\n${url}`, { disable_web_page_preview: true });
+    },
+  },
+
+  {
+    name: "feed",
+    section: "Cuenta",
+    help: ["feed   |   feed nuevo   |   feed off   (tus vencimientos como calendario para el celular)"],
+    parse: prefix("feed", "/feed"),
+    async run(ctx, { payload }) {
+      const action = normalize(payload);
+      if (!process.env.APP_BASE_URL) {
+        await ctx.reply("⚠️ Falta APP_BASE_URL en el servidor.");
+        return;
+      }
+
+      if (["off", "apagar", "borrar"].includes(action)) {
+        await disableFeed(ctx.user);
+        await ctx.reply("🗑️ Feed desactivado: el link deja de funcionar.");
+        return;
+      }
+      if (action && !["nuevo", "new"].includes(action)) {
+        await ctx.reply("⚠️ Usa: feed   |   feed nuevo   |   feed off");
+        return;
+      }
+
+      if (!(await privateChatOnly(ctx))) return;
+
+      const user = await enableFeed(ctx.user, { rotate: Boolean(action) });
+      const url = feedUrl(user);
+      await ctx.reply(
+        [
+          action ? "🔄 Link nuevo (el anterior ya no funciona):" : "📆 Tus vencimientos como calendario:",
+          url,
+          "",
+          "Agrégalo como calendario suscrito (iPhone: Ajustes › Calendario › Cuentas › Añadir calendario suscrito;",
+          "Google Calendar web: Otros calendarios › Desde URL). Tareas abiertas con fecha; las vencidas salen hoy",
+          `(sin ellas: ${url}?overdue=0).`,
+          "No compartas el link: quien lo tenga ve tus tareas. feed nuevo lo cambia.",
+        ].join("\n")
+      );
+    },
+  },
+
+  {
+    name: "yo",
+    section: "Cuenta",
+    help: ["yo"],
+    parse: exact("yo", "/me", "me", "whoami"),
+    async run(ctx) {
+      const u = ctx.user;
+      await ctx.reply(
+        [
+          `👤 ${u.name || "(sin nombre)"}`,
+          `• Google: ${u.refreshToken ? u.email || "conectado" : "no conectado (escribe: conectar)"}`,
+          `• Telegram: ${u.telegramUserId || "-"}`,
+        ].join("\n")
+      );
+    },
+  },
+
+  {
+    name: "tokens",
+    section: "Cuenta",
+    help: ["tokens   |   token: script   |   token borrar: 1   (API REST)"],
+    parse: exact("tokens", "/tokens"),
+    async run(ctx) {
+      const tokens = await listApiTokens(ctx.user.id);
+      if (!tokens.length) {
+        await ctx.reply("No tienes tokens de API. Crea uno: token: nombre");
+        return;
+      }
+
+      const { zone, locale } = userPrefs(ctx.user);
+      const day = (d) => (d ? DateTime.fromJSDate(d).setZone(zone).setLocale(locale).toFormat("d LLL") : "nunca");
+      await ctx.reply(
+        [
+          "🔑 Tokens de API:",
+          ...tokens.map((t, i) => `${i + 1}) ${t.name} — creado ${day(t.createdAt)}, último uso ${day(t.lastUsedAt)}`),
+        ].join("\n")
+      );
+    },
+  },
+
+  {
+    name: "token borrar",
+    parse: prefix("token borrar", "token revoke"),
+    async run(ctx, { payload }) {
+      const tokens = await listApiTokens(ctx.user.id);
+      const t = tokens[Number(payload) - 1];
+      if (!t) {
+        await ctx.reply("❌ Ese token no existe. Ver: tokens");
+        return;
+      }
+
+      await prisma.apiToken.delete({ where: { id: t.id } });
+      await ctx.reply(`🗑️ Token revocado: ${t.name}`);
+    },
+  },
+
+  {
+    name: "token",
+    parse: prefix("token"),
+    async run(ctx, { payload }) {
+      if (!(await privateChatOnly(ctx))) return;
+      const { token, apiToken } = await createApiToken(ctx.user.id, payload);
+      await ctx.reply(
+        [
+          `🔑 Token "${apiToken.name}" (guárdalo, no se vuelve a mostrar):`,
+          token,
+          "",
+          "Uso: Authorization: Bearer <token>  →  /api/v1/tasks",
+        ].join("\n")
+      );
+    },
+  },
+
+  {
+    name: "config",
+    section: "Cuenta",
+    help: [
+      "config: tz America/Bogota   |   config: idioma en   |   config: briefing 08:00   |   config: horario 8-18",
+      "config: resumen 18:30   |   config: semanal lunes 08:00   |   config: silencio 22-7   (off para apagar)",
+    ],
+    parse: prefix("config"),
+    async run(ctx, { payload }) {
+      if (!payload) {
+        await ctx.reply(formatConfig(ctx.user));
+        return;
+      }
+
+      const m = payload.match(/^(\w+)\s*:?\s*(.*)$/);
+      const key = (m?.[1] || "").toLowerCase();
+      const value = (m?.[2] || "").trim();
+      const data = {};
+
+      if (["tz", "zona", "timezone"].includes(key)) {
+        if (!isValidZone(value)) {
+          await ctx.reply(`⚠️ Zona inválida: "${value}". Ej: America/Bogota, Europe/Madrid`);
+          return;
+        }
+        data.timezone = value;
+      } else if (["idioma", "lang", "locale"].includes(key)) {
+        const locale = value.toLowerCase().slice(0, 2);
+        if (!LOCALES.includes(locale)) {
+          await ctx.reply(`⚠️ Idioma: ${LOCALES.join(" | ")}`);
+          return;
+        }
+        data.locale = locale;
+      } else if (key === "briefing") {
+        const at = parseClock(value);
+        if (at == null) {
+          await ctx.reply("⚠️ Usa HH:MM. Ej: config: briefing 08:00");
+          return;
+        }
+        data.briefingTime = `${String(Math.floor(at / 60)).padStart(2, "0")}:${String(at % 60).padStart(2, "0")}`;
+      } else if (["horario", "hours"].includes(key)) {
+        const wh = parseWorkingHours(value);
+        if (!wh) {
+          await ctx.reply("⚠️ Usa inicio-fin. Ej: config: horario 8-18 o config: horario 7:30-16:30");
+          return;
+        }
+        data.workHours = formatHours(wh);
+      } else if (["resumen", "recap"].includes(key)) {
+        const t = parseReportTime(value);
+        if (!t) {
+          await ctx.reply("⚠️ Usa HH:MM u off. Ej: config: resumen 18:30");
+          return;
+        }
+        data.recapTime = t.off ? null : t.time;
+      } else if (["semanal", "weekly"].includes(key)) {
+        // "lunes 08:00", "08:00" (same day), "viernes" (same time), "off"
+        const [first, ...rest] = normalize(value).split(" ");
+        const day = WEEKDAYS[first];
+        const t = parseReportTime(day ? rest.join(" ") || ctx.user.weeklyTime || "08:00" : value);
+        if (!t) {
+          await ctx.reply("⚠️ Usa día y HH:MM, u off. Ej: config: semanal lunes 08:00");
+          return;
+        }
+        data.weeklyTime = t.off ? null : t.time;
+        if (day) data.weeklyDay = day;
+      } else if (["silencio", "quiet"].includes(key)) {
+        // Recordatorios: "22-7", "off", "default" (REMINDER_QUIET_HOURS)
+        const v = normalize(value);
+        if (["default", "defecto", "por defecto"].includes(v)) {
+          data.quietHours = null;
+        } else if (["off", "no", "apagado"].includes(v)) {
+          data.quietHours = "off";
+        } else {
+          const q = parseQuietHours(v);
+          if (!q || q.from === q.to) {
+            await ctx.reply("⚠️ Usa inicio-fin en horas, off o default. Ej: config: silencio 22-7");
+            return;
+          }
+          data.quietHours = `${q.from}-${q.to}`;
+        }
+      } else {
+        await ctx.reply("⚠️ Usa: config: tz America/Bogota | config: idioma en | config: briefing 08:00 | config: horario 8-18 | config: resumen 18:30 | config: semanal lunes 08:00 | config: silencio 22-7");
+        return;
+      }
+
+      const user = await prisma.user.update({ where: { id: ctx.user.id }, data });
+      await ctx.reply(`✅ Guardado\n${formatConfig(user)}`);
+    },
+  },
+];
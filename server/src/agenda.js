@@ -0,0 +1,204 @@
+// Muëcy Ops — Daily agenda (hoy / mañana / semana)
+//
+// Merges Google Calendar events and tasks into one timeline per day:
+// events (with their linked tasks), tasks due that day, overdue tasks and
+// the free gaps inside working hours.
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { listEventsBetween, workingHours } from "./calendar.js";
+import { OPEN_STATUSES, TOP_ORDER, formatTaskSummary } from "./tasks.js";
+import { userPrefs } from "./users.js";
+
+const MIN_GAP_MINUTES = 30;
+
+/**
+ * Free gaps between timed events inside [from, to).
+ * events: [{ start, end }] as ISO strings / Dates; returns [{ start, end }] DateTimes.
+ */
+export function computeFreeGaps(events, from, to, minMinutes = MIN_GAP_MINUTES) {
+  const busy = events
+    .filter((e) => !e.allDay)
+    .map((e) => ({
+      start: DateTime.fromISO(String(e.start)).setZone(from.zone),
+      end: DateTime.fromISO(String(e.end)).setZone(from.zone),
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  const gaps = [];
+  let cursor = from;
+
+  for (const b of busy) {
+    if (b.end <= cursor) continue;
+    if (b.start >= to) break;
+    if (b.start > cursor) gaps.push({ start: cursor, end: b.start });
+    if (b.end > cursor) cursor = b.end;
+  }
+  if (cursor < to) gaps.push({ start: cursor, end: to });
+
+  return gaps.filter((g) => g.end.diff(g.start, "minutes").minutes >= minMinutes);
+}
+
+function hhmm(dt) {
+  return dt.toFormat("HH:mm");
+}
+
+// end-of-day due dates mean "that day, no specific time"
+function hasDueTime(dt) {
+  return !(dt.hour === 23 && dt.minute === 59);
+}
+
+async function loadEvents(user, start, end) {
+  try {
+    return { events: await listEventsBetween(user, start.toJSDate(), end.toJSDate()) };
+  } catch (e) {
+    if (e?.code === "not_connected") {
+      return { events: [], note: "⚠️ Google no está conectado (solo tareas). Escribe: conectar" };
+    }
+    throw e;
+  }
+}
+
+function formatDay(day, { events, tasks, linked, now, showGaps, prefs, wh }) {
+  const lines = [];
+
+  // Timeline: timed events + tasks with a due time, in order
+  const timeline = [];
+
+  for (const e of events) {
+    if (e.allDay) continue;
+    const start = DateTime.fromISO(e.start).setZone(day.zone);
+    const end = DateTime.fromISO(e.end).setZone(day.zone);
+    const loc = e.location ? ` 📍 ${e.location.split("\n")[0]}` : "";
+    const sub = (linked.get(e.id) || []).map((t) => `   ↳ 🔗 ${formatTaskSummary(t, prefs)}`);
+    timeline.push({
+      at: start,
+      lines: [`• ${hhmm(start)}–${hhmm(end)} ${e.summary || "(sin título)"}${loc}`, ...sub],
+    });
+  }
+
+  const untimed = [];
+  for (const t of tasks) {
+    const due = DateTime.fromJSDate(t.dueAt).setZone(day.zone);
+    if (hasDueTime(due)) timeline.push({ at: due, lines: [`• ${hhmm(due)} 📌 ${formatTaskSummary(t, prefs)}`] });
+    else untimed.push(t);
+  }
+
+  timeline.sort((a, b) => a.at - b.at);
+
+  const allDay = events.filter((e) => e.allDay);
+  if (allDay.length) lines.push(...allDay.map((e) => `• Todo el día: ${e.summary || "(sin título)"}`));
+  lines.push(...timeline.flatMap((i) => i.lines));
+  if (!allDay.length && !timeline.length) lines.push("• Sin eventos");
+
+  if (untimed.length) {
+    lines.push("", "📌 Vencen este día:", ...untimed.map((t) => `• ${formatTaskSummary(t, prefs)}`));
+  }
+
+  if (showGaps) {
+    let from = day.set({ ...wh.start, second: 0, millisecond: 0 });
+    const to = day.set({ ...wh.end, second: 0, millisecond: 0 });
+    if (now > from) from = now.set({ second: 0, millisecond: 0 });
+
+    const gaps = from < to ? computeFreeGaps(events, from, to) : [];
+    lines.push(
+      "",
+      gaps.length
+        ? `🟢 Libre: ${gaps.map((g) => `${hhmm(g.start)}–${hhmm(g.end)}`).join(", ")}`
+        : "🟢 Libre: —"
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * Agenda text for `days` days starting `offsetDays` from today.
+ * hoy = { offsetDays: 0, days: 1 }, mañana = { 1, 1 }, semana = { 0, 7 }
+ */
+export async function buildAgenda(user, options) {
+  return (await buildAgendaView(user, options)).text;
+}
+
+/**
+ * Same as buildAgenda, plus the open tasks it shows (linked, due in the
+ * range, overdue — in that order, no repeats) for the "hoy" buttons.
+ */
+export async function buildAgendaView(user, { offsetDays = 0, days = 1, now = DateTime.now() } = {}) {
+  const prefs = userPrefs(user);
+  const { zone } = prefs;
+  const local = now.setZone(zone).setLocale(prefs.locale);
+  const first = local.startOf("day").plus({ days: offsetDays });
+  const last = first.plus({ days });
+
+  const [{ events, note }, dueTasks, overdue] = await Promise.all([
+    loadEvents(user, first, last),
+    prisma.task.findMany({
+      where: {
+        userId: user.id,
+        status: { in: OPEN_STATUSES },
+        dueAt: { gte: first.toJSDate(), lt: last.toJSDate() },
+      },
+      orderBy: [{ dueAt: "asc" }, ...TOP_ORDER],
+    }),
+    prisma.task.findMany({
+      where: {
+        userId: user.id,
+        status: { in: OPEN_STATUSES },
+        dueAt: { lt: first.toJSDate() },
+      },
+      orderBy: [{ dueAt: "asc" }, ...TOP_ORDER],
+      take: 20,
+    }),
+  ]);
+
+  const eventIds = events.map((e) => e.id);
+  const linkedTasks = eventIds.length
+    ? await prisma.task.findMany({
+        where: { userId: user.id, eventId: { in: eventIds }, status: { in: OPEN_STATUSES } },
+        orderBy: TOP_ORDER,
+      })
+    : [];
+
+  const linked = new Map();
+  for (const t of linkedTasks) {
+    if (!linked.has(t.eventId)) linked.set(t.eventId, []);
+    linked.get(t.eventId).push(t);
+  }
+
+  const lines = [];
+  if (note) lines.push(note, "");
+
+  for (let i = 0; i < days; i++) {
+    const day = first.plus({ days: i });
+    const next = day.plus({ days: 1 });
+
+    const label = ["Hoy — ", "Mañana — "][offsetDays + i] || "";
+    if (i > 0) lines.push("");
+    lines.push(`📅 ${label}${day.toFormat("cccc d LLL")}`);
+
+    const dayEvents = events.filter((e) => {
+      const s = DateTime.fromISO(e.start, { zone });
+      return s >= day && s < next;
+    });
+    const dayTasks = dueTasks.filter(
+      (t) => t.dueAt >= day.toJSDate() && t.dueAt < next.toJSDate() && !linked.has(t.eventId)
+    );
+
+    lines.push(...formatDay(day, {
+      events: dayEvents,
+      tasks: dayTasks,
+      linked,
+      now: local,
+      showGaps: days === 1,
+      prefs,
+      wh: workingHours(user),
+    }));
+  }
+
+  if (overdue.length) {
+    lines.push("", "🚨 Vencidas:", ...overdue.map((t) => `• ${formatTaskSummary(t, prefs)}`));
+  }
+
+  const tasks = [...new Map([...linkedTasks, ...dueTasks, ...overdue].map((t) => [t.id, t])).values()];
+  return { text: lines.join("\n"), tasks };
+}
@@ -0,0 +1,58 @@
+// Muëcy Ops — Agenda commands (hoy, mañana, semana, resumen, reporte)
+import { exact } from "./parse.js";
+import { buildAgenda } from "./agenda.js";
+import { buildRecap, buildWeeklyReport } from "./reports.js";
+import { hoyView } from "./taskButtons.js";
+
+export const agendaCommands = [
+  {
+    name: "hoy",
+    section: "Agenda",
+    help: ["hoy   (eventos + tareas + huecos libres)"],
+    parse: exact("hoy", "today", "agenda"),
+    async run(ctx) {
+      const { text, extra } = await hoyView(ctx.user);
+      await ctx.reply(text, extra);
+    },
+  },
+
+  {
+    name: "mañana",
+    section: "Agenda",
+    help: ["mañana"],
+    parse: exact("mañana", "manana", "tomorrow"),
+    async run(ctx) {
+      await ctx.reply(await buildAgenda(ctx.user, { offsetDays: 1, days: 1 }));
+    },
+  },
+
+  {
+    name: "semana",
+    section: "Agenda",
+    help: ["semana"],
+    parse: exact("semana", "week"),
+    async run(ctx) {
+      await ctx.reply(await buildAgenda(ctx.user, { offsetDays: 0, days: 7 }));
+    },
+  },
+
+  {
+    name: "resumen",
+    section: "Agenda",
+    help: ["resumen   (cierre del día; llega solo a las 18:30, ver config)"],
+    parse: exact("resumen", "recap"),
+    async run(ctx) {
+      await ctx.reply(await buildRecap(ctx.user));
+    },
+  },
+
+  {
+    name: "reporte",
+    section: "Agenda",
+    help: ["reporte   (semanal; llega solo los lunes 08:00, ver config)"],
+    parse: exact("reporte", "reporte semanal", "report", "weekly"),
+    async run(ctx) {
+      await ctx.reply(await buildWeeklyReport(ctx.user));
+    },
+  },
+];
@@ -0,0 +1,205 @@
+// Muëcy Ops — REST API v1 (tasks)
+//
+// Mounted at /api/v1/tasks (and /api/tasks, alias of the current version).
+// Every route needs "Authorization: Bearer <token>" (see apiTokens.js) and
+// only sees the token owner's tasks.
+//
+//   GET    /            list: ?status=PENDING,DOING &priority=1 &source=gmail
+//                             &dueFrom=ISO &dueTo=ISO &q=texto &limit=50 &offset=0
+//   POST   /            create: { title, description?, priority?, dueAt?, assignee?, tags? }
+//   GET    /:id         one task
+//   PATCH  /:id         update any of the fields above, plus { status, blockedReason? }
+//   POST   /:id/complete
+//   DELETE /:id
+//
+// Export / import, mounted at /api/v1 and /api (same token):
+//   GET    /export      ?format=csv|json|ics &status=PENDING,DOING &as=todo|event (ics)
+//   POST   /import      ?format=csv|json &dryRun=false  body: the CSV (text/csv) or JSON;
+//                       without dryRun=false (or 0) nothing is written: preview only
+import express from "express";
+import { prisma } from "./db.js";
+import { requireApiToken } from "./apiTokens.js";
+import { TOP_ORDER, changeTaskStatus } from "./tasks.js";
+import { TaskInputError, parseStatus, createTask, updateTask } from "./taskEdit.js";
+import { exportTasks, parseImportFile, importTasks } from "./taskTransfer.js";
+
+const MAX_LIMIT = 200;
+const DEFAULT_LIMIT = 50;
+
+export const tasksApi = express.Router();
+tasksApi.use(requireApiToken);
+
+class ApiError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+const badRequest = (message) => new ApiError(400, "bad_request", message);
+
+// Async handler -> JSON error responses
+function route(fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (e) {
+      if (e instanceof ApiError) {
+        return res.status(e.status).json({ ok: false, error: e.error, message: e.message });
+      }
+      if (e instanceof TaskInputError) {
+        return res.status(400).json({ ok: false, error: "bad_request", message: e.message });
+      }
+      console.error(`API ${req.method} ${req.originalUrl} error:`, e);
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    }
+  };
+}
+
+function actorFor(req) {
+  return { userId: req.user.id, label: `${req.user.name || "api"} (api: ${req.apiToken.name})` };
+}
+
+async function loadTask(req) {
+  const task = await prisma.task.findFirst({ where: { id: req.params.id, userId: req.user.id } });
+  if (!task) throw new ApiError(404, "not_found", "Task not found");
+  return task;
+}
+
+/* =========================
+INPUT
+========================= */
+
+function parseList(value) {
+  return String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseDateParam(value, name) {
+  if (value == null || value === "") return undefined;
+  const d = new Date(String(value));
+  if (Number.isNaN(d.getTime())) throw badRequest(`Invalid ${name}: use an ISO date`);
+  return d;
+}
+
+/* =========================
+ROUTES
+========================= */
+
+tasksApi.get(
+  "/",
+  route(async (req, res) => {
+    const q = req.query;
+    const where = { userId: req.user.id };
+
+    const statuses = parseList(q.status).map(parseStatus);
+    if (statuses.length) where.status = { in: statuses };
+
+    const priorities = parseList(q.priority).map(Number);
+    if (priorities.length) {
+      if (priorities.some((p) => ![1, 2, 3].includes(p))) throw badRequest("priority must be 1, 2 or 3");
+      where.priority = { in: priorities };
+    }
+
+    if (q.source) where.source = String(q.source);
+
+    const dueFrom = parseDateParam(q.dueFrom, "dueFrom");
+    const dueTo = parseDateParam(q.dueTo, "dueTo");
+    if (dueFrom || dueTo) where.dueAt = { ...(dueFrom && { gte: dueFrom }), ...(dueTo && { lt: dueTo }) };
+
+    if (q.q) where.title = { contains: String(q.q), mode: "insensitive" };
+
+    const limit = Math.min(Math.max(parseInt(q.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+
+    const [total, tasks] = await Promise.all([
+      prisma.task.count({ where }),
+      prisma.task.findMany({ where, orderBy: TOP_ORDER, skip: offset, take: limit }),
+    ]);
+
+    res.json({ ok: true, total, limit, offset, tasks });
+  })
+);
+
+tasksApi.post(
+  "/",
+  route(async (req, res) => {
+    const task = await createTask(req.body, req.user, { source: "api" });
+    res.status(201).json({ ok: true, task });
+  })
+);
+
+tasksApi.get(
+  "/:id",
+  route(async (req, res) => {
+    res.json({ ok: true, task: await loadTask(req) });
+  })
+);
+
+tasksApi.patch(
+  "/:id",
+  route(async (req, res) => {
+    const current = await loadTask(req);
+    const task = await updateTask(current, req.body, { user: req.user, actor: actorFor(req) });
+    res.json({ ok: true, task });
+  })
+);
+
+tasksApi.post(
+  "/:id/complete",
+  route(async (req, res) => {
+    const current = await loadTask(req);
+    const task = current.status === "DONE"
+      ? current
+      : await changeTaskStatus(current, "DONE", { actor: actorFor(req) });
+    res.json({ ok: true, task });
+  })
+);
+
+tasksApi.delete(
+  "/:id",
+  route(async (req, res) => {
+    const task = await loadTask(req);
+    await prisma.task.delete({ where: { id: task.id } });
+    res.json({ ok: true, id: task.id });
+  })
+);
+
+/* =========================
+EXPORT / IMPORT
+========================= */
+
+export const transferApi = express.Router();
+
+transferApi.get(
+  "/export",
+  requireApiToken,
+  route(async (req, res) => {
+    const file = await exportTasks(req.user, {
+      format: String(req.query.format || "csv").toLowerCase(),
+      statuses: parseList(req.query.status).map(parseStatus),
+      as: req.query.as === "event" ? "event" : "todo",
+    });
+
+    res.set("Content-Type", file.contentType);
+    res.set("Content-Disposition", `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  })
+);
+
+transferApi.post(
+  "/import",
+  requireApiToken,
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+  route(async (req, res) => {
+    const format = String(req.query.format || (req.is("json") ? "json" : "csv")).toLowerCase();
+    const dryRun = !["false", "0", "no"].includes(String(req.query.dryRun ?? "true").toLowerCase());
+
+    const rows = parseImportFile(req.body, format);
+    const result = await importTasks(req.user, rows, { dryRun });
+    res.status(!dryRun && result.created ? 201 : 200).json({ ok: true, ...result });
+  })
+);
@@ -0,0 +1,87 @@
+// Muëcy Ops — API tokens (per user)
+//
+// "token: script" in Telegram creates one; it is shown once and only its
+// SHA-256 hash is stored. Requests send it as "Authorization: Bearer mops_...".
+// The ops endpoints (/sync, /api/calendar/list) also take the shared OPS_SECRET.
+import crypto from "node:crypto";
+import { prisma } from "./db.js";
+import { safeEqual } from "./access.js";
+import { ensureOwner } from "./users.js";
+
+const TOKEN_PREFIX = "mops_";
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Returns { token, apiToken }: the plain token (only here) and the stored row
+export async function createApiToken(userId, name) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const apiToken = await prisma.apiToken.create({
+    data: { userId, name: name || "api", tokenHash: hashToken(token) },
+  });
+  return { token, apiToken };
+}
+
+export function listApiTokens(userId) {
+  return prisma.apiToken.findMany({ where: { userId }, orderBy: { createdAt: "asc" } });
+}
+
+// The ApiToken row (with its user) for a plain token, or null
+export async function findApiToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+  const apiToken = await prisma.apiToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: true },
+  });
+  if (!apiToken) return null;
+
+  await prisma.apiToken.update({ where: { id: apiToken.id }, data: { lastUsedAt: new Date() } });
+  return apiToken;
+}
+
+/**
+ * Express middleware: sets req.user / req.apiToken from the Bearer token,
+ * or answers 401.
+ */
+export async function requireApiToken(req, res, next) {
+  try {
+    const m = String(req.headers.authorization || "").match(/^Bearer\s+(\S+)$/i);
+    const apiToken = m ? await findApiToken(m[1]) : null;
+    if (!apiToken) {
+      return res.status(401).json({
+        ok: false,
+        error: "unauthorized",
+        message: "Send Authorization: Bearer <token>. Create one in Telegram with: token: nombre",
+      });
+    }
+    req.user = apiToken.user;
+    req.apiToken = apiToken;
+    return next();
+  } catch (e) {
+    return next(e);
+  }
+}
+
+/**
+ * Express middleware for the ops endpoints: "Authorization: Bearer <OPS_SECRET>"
+ * acts as the owner for every user (req.allUsers = true); a user's API token
+ * only covers that user. Anything else: 401.
+ */
+export async function requireOpsAuth(req, res, next) {
+  try {
+    const m = String(req.headers.authorization || "").match(/^Bearer\s+(\S+)$/i);
+    const secret = process.env.OPS_SECRET;
+
+    if (m && secret && safeEqual(m[1], secret)) {
+      req.user = await ensureOwner();
+      req.allUsers = true;
+      return next();
+    }
+
+    return requireApiToken(req, res, next);
+  } catch (e) {
+    return next(e);
+  }
+}
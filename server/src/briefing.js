@@ -0,0 +1,101 @@
+// Muëcy Ops — Daily briefing
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { syncGmailToTasks } from "./jobs.js";
+import { listTopTasks, formatTaskLine } from "./tasks.js";
+import { telegramSend } from "./telegram.js";
+import { chatIdFor, userPrefs, listNotifiableUsers } from "./users.js";
+
+// A briefing that could not go out on time is still sent within this window
+const LATE_LIMIT_MINUTES = 120;
+
+export async function sendBriefing(user) {
+  const prefs = userPrefs(user);
+
+  // 1) Sync Gmail -> Tasks (a failed sync still sends the briefing)
+  if (user.refreshToken) {
+    try {
+      await syncGmailToTasks(user.id);
+    } catch (e) {
+      console.error(`Briefing Gmail sync error (${user.id}):`, e);
+    }
+  }
+
+  // 2) Fetch top tasks
+  const tasks = await listTopTasks(user.id);
+
+  const lines = [
+    "🧠 MUËCY OPS — Briefing",
+    `📅 ${DateTime.now().setZone(prefs.zone).setLocale(prefs.locale).toFormat("cccc, LLL d, yyyy")}`,
+    "",
+    "🔴 Top tareas:",
+    ...tasks.map((t, i) => formatTaskLine(t, i, prefs)),
+    "",
+    "Comandos: hoy | top | tarea: ... | done: 1 | event: ...",
+  ].join("\n");
+
+  const chatId = chatIdFor(user);
+  if (chatId) {
+    await telegramSend(chatId, lines);
+  } else {
+    console.log(`ℹ️ Briefing listo para ${user.id} (sin chat de Telegram).`);
+  }
+}
+
+// "07:40" -> minutes since midnight (null if malformed)
+export function parseClock(hhmm) {
+  const m = String(hhmm || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+// The user's local date when their briefing is due now (not sent today), else null
+function briefingDueOn(user, now) {
+  const local = now.setZone(userPrefs(user).zone);
+  const today = local.toISODate();
+  const at = parseClock(user.briefingTime) ?? parseClock("07:40");
+  const minutesNow = local.hour * 60 + local.minute;
+
+  if (user.lastBriefingOn === today) return null;
+  if (minutesNow < at || minutesNow > at + LATE_LIMIT_MINUTES) return null;
+  return today;
+}
+
+// For the "briefing" job: minutes with nothing to send leave no JobRun
+export async function hasDueBriefings({ now = DateTime.now() } = {}) {
+  const users = await listNotifiableUsers();
+  return users.some((user) => briefingDueOn(user, now));
+}
+
+/**
+ * Called every minute: sends each user's briefing once per local day, at
+ * their briefingTime in their timezone. lastBriefingOn is claimed with a
+ * conditional update so two instances never both send it.
+ */
+export async function runDueBriefings({ now = DateTime.now() } = {}) {
+  const users = await listNotifiableUsers();
+  const results = [];
+
+  for (const user of users) {
+    const today = briefingDueOn(user, now);
+    if (!today) continue;
+
+    const claimed = await prisma.user.updateMany({
+      where: { id: user.id, OR: [{ lastBriefingOn: null }, { lastBriefingOn: { not: today } }] },
+      data: { lastBriefingOn: today },
+    });
+    if (!claimed.count) continue;
+
+    try {
+      await sendBriefing(user);
+      results.push({ userId: user.id, ok: true });
+    } catch (e) {
+      console.error(`Briefing error (${user.id}):`, e);
+      // Give the claim back so the next minute's tick sends it (the error is not rethrown)
+      await prisma.user.update({ where: { id: user.id }, data: { lastBriefingOn: user.lastBriefingOn } });
+      results.push({ userId: user.id, ok: false, error: e.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,170 @@
+// Muëcy Ops — Google Calendar helpers (OAuth del usuario)
+import { googleAuthForUser } from "./googleTokens.js";
+import { normalize } from "./when.js";
+
+// How many events /calendar lists (and numbers for mover/cancelar/...)
+export const UPCOMING_MAX = 10;
+
+// Throws code "not_connected" (see googleTokens.js)
+export async function calendarForUser(user) {
+  const { google, auth } = await googleAuthForUser(user);
+  return google.calendar({ version: "v3", auth });
+}
+
+// Google event -> the plain shape used by commands, agenda and API
+function toEvent(e) {
+  return {
+    id: e.id,
+    summary: e.summary,
+    allDay: !e.start?.dateTime,
+    start: e.start?.dateTime || e.start?.date,
+    end: e.end?.dateTime || e.end?.date,
+    location: e.location || null,
+    description: e.description || null,
+    attendees: (e.attendees || []).map((a) => a.email).filter(Boolean),
+    htmlLink: e.htmlLink || null,
+    cancelled: e.status === "cancelled",
+  };
+}
+
+// Next events from now; q = Google's free-text search
+export async function listUpcomingEvents(user, maxResults = UPCOMING_MAX, { q } = {}) {
+  const calendar = await calendarForUser(user);
+
+  const out = await calendar.events.list({
+    calendarId: "primary",
+    timeMin: new Date().toISOString(),
+    maxResults,
+    singleEvents: true,
+    orderBy: "startTime",
+    ...(q ? { q } : {}),
+  });
+
+  return (out.data.items || []).map(toEvent);
+}
+
+// All events (expanded recurrences) in [timeMin, timeMax), ordered by start
+export async function listEventsBetween(user, timeMin, timeMax) {
+  const calendar = await calendarForUser(user);
+
+  const out = await calendar.events.list({
+    calendarId: "primary",
+    timeMin: new Date(timeMin).toISOString(),
+    timeMax: new Date(timeMax).toISOString(),
+    maxResults: 250,
+    singleEvents: true,
+    orderBy: "startTime",
+  });
+
+  return (out.data.items || [])
+    .filter((e) => e.status !== "cancelled")
+    .map(toEvent);
+}
+
+/**
+ * Busca un evento próximo por referencia (como findTask):
+ * - "2"      -> posición en la lista de /calendar
+ * - "Eddy"   -> el evento próximo cuyo título contenga el texto; si hay
+ *               varios, el de título exacto o, si no, pregunta cuál
+ * Devuelve { event } o { error } con un mensaje listo para el usuario.
+ */
+export async function findEvent(user, ref) {
+  const payload = (ref || "").trim();
+  if (!payload) return { error: "❌ Falta el evento (número de /calendar o texto)." };
+
+  const n = Number(payload);
+  if (Number.isInteger(n) && n > 0) {
+    const events = await listUpcomingEvents(user, UPCOMING_MAX);
+    const event = events[n - 1];
+    if (!event) return { error: `❌ No existe el evento #${n}. Ver: /calendar` };
+    return { event };
+  }
+
+  // Google's q also matches description, location, attendees...: only the title counts
+  const want = normalize(payload);
+  const events = await listUpcomingEvents(user, UPCOMING_MAX, { q: payload });
+  const matches = events.filter((e) => normalize(e.summary).includes(want));
+  if (!matches.length) return { error: `❌ No encontré evento próximo que coincida con: "${payload}"` };
+  if (matches.length === 1) return { event: matches[0] };
+
+  const exactMatches = matches.filter((e) => normalize(e.summary) === want);
+  if (exactMatches.length === 1) return { event: exactMatches[0] };
+
+  const options = matches.map((e) => `• ${e.summary} — ${eventStartLabel(e)}`);
+  return { error: [`❓ Hay ${matches.length} eventos que coinciden con "${payload}":`, ...options, "Usa el número de /calendar o más texto del título."].join("\n") };
+}
+
+// "2026-10-23 15:00" (hora del evento) / "2026-10-23" (todo el día)
+function eventStartLabel(e) {
+  return e.allDay ? e.start : String(e.start).slice(0, 16).replace("T", " ");
+}
+
+// One event by id (cancelled ones included); null when it no longer exists
+export async function getEvent(user, eventId) {
+  const calendar = await calendarForUser(user);
+  try {
+    const out = await calendar.events.get({ calendarId: "primary", eventId });
+    return toEvent(out.data);
+  } catch (e) {
+    const status = e?.code || e?.response?.status;
+    if (status === 404 || status === 410) return null;
+    throw e;
+  }
+}
+
+// Partial update; attendees get an email only when the event has any
+export async function patchEvent(user, event, requestBody) {
+  const calendar = await calendarForUser(user);
+  const out = await calendar.events.patch({
+    calendarId: "primary",
+    eventId: event.id,
+    sendUpdates: event.attendees?.length ? "all" : "none",
+    requestBody,
+  });
+  return toEvent(out.data);
+}
+
+export async function deleteEvent(user, event) {
+  const calendar = await calendarForUser(user);
+  await calendar.events.delete({
+    calendarId: "primary",
+    eventId: event.id,
+    sendUpdates: event.attendees?.length ? "all" : "none",
+  });
+}
+
+/**
+ * "8-18" / "8:30-17:30" -> { start: {hour, minute}, end: {hour, minute} }, or null.
+ */
+export function parseWorkingHours(spec) {
+  const m = String(spec || "").trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const start = { hour: Number(m[1]), minute: Number(m[2] || 0) };
+  const end = { hour: Number(m[3]), minute: Number(m[4] || 0) };
+  if (start.hour > 23 || end.hour > 23 || start.minute > 59 || end.minute > 59) return null;
+  if (start.hour * 60 + start.minute >= end.hour * 60 + end.minute) return null;
+  return { start, end };
+}
+
+/**
+ * Working hours (local) for a user: "config: horario 8-18", else WORK_HOURS, else 8-18.
+ */
+export function workingHours(user) {
+  return (
+    parseWorkingHours(user?.workHours) ||
+    parseWorkingHours(process.env.WORK_HOURS) || { start: { hour: 8, minute: 0 }, end: { hour: 18, minute: 0 } }
+  );
+}
+
+// Busy intervals [{ start, end }] (ISO) of the primary calendar in [timeMin, timeMax)
+export async function listBusy(user, timeMin, timeMax) {
+  const calendar = await calendarForUser(user);
+  const out = await calendar.freebusy.query({
+    requestBody: {
+      timeMin: new Date(timeMin).toISOString(),
+      timeMax: new Date(timeMax).toISOString(),
+      items: [{ id: "primary" }],
+    },
+  });
+  return out.data.calendars?.primary?.busy || [];
+}
@@ -0,0 +1,390 @@
+// Muëcy Ops — Calendar commands (/calendar, event, libre, mover, cancelar, editar, duracion)
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { calendarForUser, listUpcomingEvents, findEvent, patchEvent, deleteEvent } from "./calendar.js";
+import {
+  prefix,
+  exact,
+  pickField,
+  stripFields,
+  parseInviteList,
+  parseEventParts,
+  isMinutes,
+} from "./parse.js";
+import { parseWhen, prettyDateTime } from "./when.js";
+import { findConflicts, suggestSlots } from "./slots.js";
+import { userPrefs } from "./users.js";
+import { formatTaskSummary } from "./tasks.js";
+import { listLinkedTasks, followEvent, flagCancelledEvent } from "./eventLinks.js";
+
+// "🕒 Fri – Oct 23 – 3:00 PM (America/New_York) · 60 min" / "📅 Fri – Oct 23 (todo el día)"
+function formatEventWhen(e, prefs) {
+  if (e.allDay) {
+    const day = DateTime.fromISO(e.start, { zone: prefs.zone }).setLocale(prefs.locale || "en");
+    return `📅 ${day.toFormat("ccc '–' LLL d")} (todo el día)`;
+  }
+  const start = DateTime.fromISO(e.start);
+  const minutes = Math.round(DateTime.fromISO(e.end).diff(start, "minutes").minutes);
+  return `🕒 ${prettyDateTime(start, prefs)} (${prefs.zone}) · ${minutes} min`;
+}
+
+function formatEvent(header, e, prefs, { tasks = [], taskNote = "" } = {}) {
+  return [
+    header,
+    e.summary || "(sin título)",
+    formatEventWhen(e, prefs),
+    e.location ? `📍 ${e.location}` : null,
+    e.description ? `📝 ${e.description}` : null,
+    e.attendees?.length ? `👥 ${e.attendees.join(", ")} (avisados)` : null,
+    ...tasks.map((t) => `🔗 ${formatTaskSummary(t, prefs)}${taskNote}`),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Comando sobre un evento existente: "<name>: ref / resto".
+ * ref = número de /calendar o texto del título; run recibe (ctx, event, rest, prefs).
+ */
+function eventCommand({ name, aliases = [], help, run }) {
+  return {
+    name,
+    section: "Calendario",
+    help: [help],
+    parse: prefix(name, ...aliases),
+    async run(ctx, { payload }) {
+      const [ref, ...restParts] = (payload || "").split("/");
+      const rest = restParts.join("/").trim();
+
+      const { event, error } = await findEvent(ctx.user, ref);
+      if (error) {
+        await ctx.reply(`${error}\nUsa: ${help}`);
+        return;
+      }
+
+      try {
+        await run(ctx, event, rest, userPrefs(ctx.user));
+      } catch (e) {
+        if (e?.code === "not_connected") throw e;
+        await ctx.reply(`❌ No pude actualizar el evento. Detalle: ${e.message}`);
+      }
+    },
+  };
+}
+
+// "/ forzar" en event: crea aunque choque con otro evento
+const FORCE_RE = /^(forzar|force|igual)$/i;
+
+// "vie 23 oct 15:00–16:00"
+function formatSlot(slot, prefs) {
+  return `${slot.start.setLocale(prefs.locale).toFormat("ccc d LLL HH:mm")}–${slot.end.toFormat("HH:mm")}`;
+}
+
+// Google start/end for a timed event in the user's zone
+function timed(start, end, zone) {
+  return {
+    start: { dateTime: start.toISO({ suppressMilliseconds: true }), timeZone: zone, date: null },
+    end: { dateTime: end.toISO({ suppressMilliseconds: true }), timeZone: zone, date: null },
+  };
+}
+
+export const calendarCommands = [
+  {
+    name: "calendar",
+    section: "Calendario",
+    help: ["/calendar   (próximos eventos, numerados)"],
+    parse: exact("/calendar", "calendar", "eventos", "events"),
+    async run(ctx) {
+      const prefs = userPrefs(ctx.user);
+      const events = await listUpcomingEvents(ctx.user);
+      if (!events.length) {
+        await ctx.reply("No hay eventos próximos.");
+        return;
+      }
+
+      const linked = await Promise.all(events.map((e) => listLinkedTasks(ctx.user.id, e.id)));
+      const lines = events.map((e, i) => {
+        const when = formatEventWhen(e, prefs).replace(` (${prefs.zone})`, "");
+        const loc = e.location ? ` 📍 ${e.location.split("\n")[0]}` : "";
+        const tasks = linked[i].map((t) => `\n   ↳ 🔗 ${formatTaskSummary(t, prefs)}`).join("");
+        return `${i + 1}) ${e.summary || "(sin título)"}\n   ${when}${loc}${tasks}`;
+      });
+      await ctx.reply(
+        [
+          "📅 Próximos eventos:",
+          ...lines,
+          "",
+          "Cambiar: mover: 2 / viernes 3pm · duracion: 2 / 90 · editar: 2 / loc: Doral · cancelar: 2",
+        ].join("\n")
+      );
+    },
+  },
+
+  {
+    name: "event",
+    section: "Evento",
+    help: [
+      "event: Visita Eddy / mañana 9pm / 60 / loc: Miami / addr: 123 Main St / desc: medir cocina / task: enviar estimate",
+      "event: revisar Trello / 13:00 / 2026-03-03 / Miami",
+      "event: panel / 2026-03-03-15:00 / Miami / invite: a@b.com,b@c.com",
+      "event: obra Doral / viernes 3-5pm / loc: Doral",
+    ],
+    parse: prefix("event"),
+    async run(ctx, { payload }) {
+      try {
+        const location = pickField(payload, "loc");
+        const address = pickField(payload, "addr");
+        const description = pickField(payload, "desc");
+        const inviteRaw = pickField(payload, "invite");
+        const taskRaw = pickField(payload, "task");
+
+        const cleaned = stripFields(payload);
+        const allParts = cleaned.split("/").map((s) => s.trim()).filter(Boolean);
+        const force = allParts.some((p) => FORCE_RE.test(p));
+        const parts = allParts.filter((p) => !FORCE_RE.test(p));
+
+        if (!parts.length) throw new Error("Formato vacío. Ej: event: Título / mañana 9pm / 60");
+
+        const prefs = userPrefs(ctx.user);
+        const tz = prefs.zone;
+        const parsed = parseEventParts(parts, { zone: tz });
+
+        if (!parsed.whenText) {
+          throw new Error("Falta fecha/hora. Ej: event: Visita / mañana 9pm / 60");
+        }
+
+        const when = parseWhen(parsed.whenText, { zone: tz });
+        if (!when) throw new Error(`No entendí la fecha/hora "${parsed.whenText}"`);
+
+        // Si pasaron solo fecha sin hora
+        if (!when.hasTime) {
+          throw new Error('Te faltó la hora. Ej: "2026-03-03 13:00" o "13:00 / 2026-03-03"');
+        }
+
+        const start = when.start;
+        const end = when.end || start.plus({ minutes: parsed.minutes });
+
+        const fallbackLoc = parsed.leftoverLocation;
+        const combinedLoc =
+          location && address ? `${location}\n${address}` : location || address || fallbackLoc || null;
+
+        // Choques con lo ya agendado: avisar y no crear, salvo "/ forzar"
+        if (!force) {
+          const conflicts = await findConflicts(ctx.user, start, end);
+          if (conflicts.length) {
+            const minutes = Math.round(end.diff(start, "minutes").minutes);
+            const slots = await suggestSlots(ctx.user, { from: start.startOf("day"), minutes });
+            await ctx.reply(
+              [
+                `⚠️ "${parsed.title}" (${formatSlot({ start, end }, prefs)}) choca con:`,
+                ...conflicts.map((c) => `• ${formatSlot(c, prefs)}${c.summary ? ` ${c.summary}` : ""}`),
+                "",
+                slots.length ? `🟢 Libre (${minutes} min): ${slots.map((x) => formatSlot(x, prefs)).join(" · ")}` : null,
+                "Para crearlo igual:",
+                `event: ${payload} / forzar`,
+              ]
+                .filter((l) => l !== null)
+                .join("\n")
+            );
+            return;
+          }
+        }
+
+        const attendees = parseInviteList(inviteRaw);
+        const calendar = await calendarForUser(ctx.user);
+
+        const result = await calendar.events.insert({
+          calendarId: "primary",
+          sendUpdates: attendees.length ? "all" : "none",
+          requestBody: {
+            summary: parsed.title,
+            start: { dateTime: start.toISO({ suppressMilliseconds: true }), timeZone: tz },
+            end: { dateTime: end.toISO({ suppressMilliseconds: true }), timeZone: tz },
+
+            // ✅ Alarma 30 minutos antes
+            reminders: {
+              useDefault: false,
+              overrides: [{ method: "popup", minutes: 30 }],
+            },
+
+            ...(combinedLoc ? { location: combinedLoc } : {}),
+            ...(description ? { description } : {}),
+            ...(attendees.length ? { attendees } : {}),
+          },
+        });
+
+        let linkedTask = null;
+        if (taskRaw) {
+          linkedTask = await prisma.task.create({
+            data: {
+              userId: ctx.user.id,
+              title: taskRaw,
+              priority: 2,
+              status: "PENDING",
+              source: "calendar",
+              eventId: result?.data?.id || null,
+              // La tarea vence cuando empieza el evento (y lo sigue si se mueve)
+              dueAt: start.toJSDate(),
+            },
+          });
+        }
+
+        const calendarLink = result?.data?.htmlLink || "";
+        const prettyLink = calendarLink ? `🔗 Ver en Google Calendar\n${calendarLink}` : null;
+
+        const lines = [
+          "✅ Evento creado:",
+          parsed.title,
+          `🕒 ${prettyDateTime(start, prefs)} (${tz})`,
+          combinedLoc ? `📍 ${combinedLoc}` : null,
+          description ? `📝 ${description}` : null,
+          attendees.length ? `👥 ${attendees.map((a) => a.email).join(", ")}` : null,
+          "🔔 Recordatorio: 30 min antes",
+          prettyLink,
+          linkedTask ? `🔗 Tarea vinculada: ${formatTaskSummary(linkedTask, prefs)}` : null,
+        ].filter(Boolean);
+
+        await ctx.reply(lines.join("\n"));
+      } catch (e) {
+        if (e?.code === "not_connected") throw e;
+        await ctx.reply(`❌ No pude crear el evento. Detalle: ${e.message}`);
+      }
+    },
+  },
+
+  {
+    name: "libre",
+    section: "Calendario",
+    help: ["libre: mañana / 60   (próximos huecos libres en tu horario; config: horario 8-18)"],
+    parse: prefix("libre", "free"),
+    async run(ctx, { payload }) {
+      const prefs = userPrefs(ctx.user);
+      let minutes = 60;
+      let from = DateTime.now().setZone(prefs.zone);
+
+      for (const part of payload.split("/").map((p) => p.trim()).filter(Boolean)) {
+        if (isMinutes(part)) {
+          minutes = Math.min(Math.max(parseInt(part, 10), 5), 720);
+          continue;
+        }
+        const when = parseWhen(part, { zone: prefs.zone });
+        if (!when) {
+          await ctx.reply(`❌ No entendí "${part}". Ej: libre: mañana / 60`);
+          return;
+        }
+        from = when.start;
+      }
+
+      const slots = await suggestSlots(ctx.user, { from, minutes, count: 5 });
+      if (!slots.length) {
+        await ctx.reply(`No encontré ${minutes} min libres en los próximos 7 días dentro de tu horario.`);
+        return;
+      }
+
+      await ctx.reply(
+        [
+          `🟢 Huecos libres de ${minutes} min:`,
+          ...slots.map((x, i) => `${i + 1}) ${formatSlot(x, prefs)}`),
+          "",
+          `Agendar: event: Título / ${slots[0].start.toFormat("yyyy-MM-dd HH:mm")} / ${minutes}`,
+        ].join("\n")
+      );
+    },
+  },
+
+  eventCommand({
+    name: "mover",
+    aliases: ["move", "reprogramar"],
+    help: "mover: 2 / viernes 3pm   (o mover: Eddy / mañana)",
+    async run(ctx, event, rest, prefs) {
+      const when = rest ? parseWhen(rest, { zone: prefs.zone }) : null;
+      if (!when) {
+        await ctx.reply(`❌ No entendí la nueva fecha/hora "${rest}". Ej: mover: 2 / viernes 3pm`);
+        return;
+      }
+
+      let body;
+      if (event.allDay && !when.hasTime) {
+        // Todo el día: se mueve la fecha y se conserva cuántos días dura
+        const days = DateTime.fromISO(event.end).diff(DateTime.fromISO(event.start), "days").days || 1;
+        body = {
+          start: { date: when.start.toISODate(), dateTime: null },
+          end: { date: when.start.plus({ days }).toISODate(), dateTime: null },
+        };
+      } else {
+        const oldStart = DateTime.fromISO(event.start).setZone(prefs.zone);
+        const minutes = event.allDay ? 60 : DateTime.fromISO(event.end).diff(oldStart, "minutes").minutes;
+        // Solo fecha: misma hora, otro día
+        const start = when.hasTime
+          ? when.start
+          : when.start.set({ hour: oldStart.hour, minute: oldStart.minute });
+        const end = when.end || start.plus({ minutes });
+        body = timed(start, end, prefs.zone);
+      }
+
+      const updated = await patchEvent(ctx.user, event, body);
+      const tasks = await followEvent(ctx.user, updated);
+      await ctx.reply(formatEvent("📆 Evento movido:", updated, prefs, { tasks, taskNote: " (tarea movida)" }));
+    },
+  }),
+
+  eventCommand({
+    name: "duracion",
+    aliases: ["duración", "duration"],
+    help: "duracion: 2 / 90   (minutos)",
+    async run(ctx, event, rest, prefs) {
+      const minutes = parseInt(rest, 10);
+      if (!Number.isFinite(minutes) || minutes < 1 || minutes > 1440) {
+        await ctx.reply("❌ Duración en minutos (1-1440). Ej: duracion: 2 / 90");
+        return;
+      }
+      if (event.allDay) {
+        await ctx.reply("❌ Es un evento de todo el día. Usa: mover: N / viernes 3pm");
+        return;
+      }
+
+      const start = DateTime.fromISO(event.start).setZone(prefs.zone);
+      const updated = await patchEvent(ctx.user, event, timed(start, start.plus({ minutes }), prefs.zone));
+      await ctx.reply(formatEvent("⏱️ Duración cambiada:", updated, prefs, { tasks: await listLinkedTasks(ctx.user.id, event.id) }));
+    },
+  }),
+
+  eventCommand({
+    name: "editar",
+    aliases: ["edit"],
+    help: "editar: 2 / loc: Doral / addr: 123 Main St / desc: llevar muestras / titulo: Visita final",
+    async run(ctx, event, rest, prefs) {
+      const location = pickField(rest, "loc");
+      const address = pickField(rest, "addr");
+      const description = pickField(rest, "desc");
+      const title = pickField(rest, "titulo") || pickField(rest, "title");
+
+      const body = {};
+      if (location || address) body.location = [location, address].filter(Boolean).join("\n");
+      if (description) body.description = description;
+      if (title) body.summary = title;
+
+      if (!Object.keys(body).length) {
+        await ctx.reply("❌ Nada que cambiar. Usa loc:, addr:, desc: o titulo:. Ej: editar: 2 / loc: Doral");
+        return;
+      }
+
+      const updated = await patchEvent(ctx.user, event, body);
+      await ctx.reply(formatEvent("✏️ Evento editado:", updated, prefs, { tasks: await listLinkedTasks(ctx.user.id, event.id) }));
+    },
+  }),
+
+  eventCommand({
+    name: "cancelar",
+    aliases: ["cancel"],
+    help: "cancelar: 2",
+    async run(ctx, event, rest, prefs) {
+      await deleteEvent(ctx.user, event);
+      const tasks = await flagCancelledEvent(ctx.user, event.id);
+      await ctx.reply(
+        formatEvent("🗑️ Evento cancelado:", event, prefs, { tasks })
+          + (tasks.length ? "\n\nLa tarea quedó bloqueada. Si sigue en pie: reopen: texto" : "")
+      );
+    },
+  }),
+];
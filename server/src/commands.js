@@ -0,0 +1,126 @@
+// Muëcy Ops — Telegram command registry
+// Un solo motor de comandos; el webhook (index.js) y el polling (bot.js)
+// son solo transportes que llaman a handleMessage().
+import { exact, prefix } from "./parse.js";
+import { resolveTelegramUser } from "./users.js";
+import { isTelegramAllowed, accessCodeFrom, redeemAccessCode } from "./access.js";
+import { linkMember } from "./team.js";
+import { REVOKED_MSG, isInvalidGrant, markGoogleRevoked } from "./googleTokens.js";
+import { taskCommands } from "./taskCommands.js";
+import { calendarCommands } from "./calendarCommands.js";
+import { ruleCommands } from "./ruleCommands.js";
+import { agendaCommands } from "./agendaCommands.js";
+import { accountCommands } from "./accountCommands.js";
+import { teamCommands } from "./teamCommands.js";
+import { accessCommands } from "./accessCommands.js";
+import { jobCommands } from "./jobCommands.js";
+
+const NOT_CONNECTED_MSG = "⚠️ Google no está conectado. Escribe: conectar";
+const NOT_ALLOWED_MSG = "🔒 Este chat no está autorizado. Pide un código al administrador y envía: /start CÓDIGO";
+
+/**
+ * Cada comando:
+ * - name:    identificador
+ * - section: título del bloque en la ayuda
+ * - help:    ejemplos (una línea cada uno)
+ * - parse:   (text) => args | null
+ * - run:     async (ctx, args)
+ */
+const startCommand = {
+  name: "start",
+  parse: (text) => prefix("/start")(String(text || "").replace(/^\/start@\w+/i, "/start")),
+  async run(ctx, { payload }) {
+    // "/start K7F3Q2" with a team join code also links the member
+    const member = payload ? await linkMember(payload, ctx.user, ctx.chatId) : null;
+    await ctx.reply(member ? `Muëcy Ops conectado ✅ Hola, ${member.name}.` : "Muëcy Ops conectado ✅");
+    await ctx.reply(helpText());
+  },
+};
+
+const helpCommand = {
+  name: "help",
+  parse: exact("/help", "help", "ayuda"),
+  async run(ctx) {
+    await ctx.reply(helpText());
+  },
+};
+
+export const commands = [
+  startCommand,
+  helpCommand,
+  ...taskCommands,
+  ...agendaCommands,
+  ...calendarCommands,
+  ...ruleCommands,
+  ...teamCommands,
+  ...accountCommands,
+  ...accessCommands,
+  ...jobCommands,
+];
+
+export function helpText() {
+  const sections = new Map();
+  for (const cmd of commands) {
+    if (!cmd.section || !cmd.help?.length) continue;
+    if (!sections.has(cmd.section)) sections.set(cmd.section, []);
+    sections.get(cmd.section).push(...cmd.help.map((h) => `• ${h}`));
+  }
+
+  const lines = ["Muëcy Ops 🤖"];
+  for (const [section, items] of sections) {
+    lines.push("", `${section}:`, ...items);
+  }
+  return lines.join("\n");
+}
+
+export function matchCommand(text) {
+  for (const cmd of commands) {
+    const args = cmd.parse(text);
+    if (args) return { cmd, args };
+  }
+  return null;
+}
+
+/**
+ * Entrada común para todos los transportes.
+ * msg: { chatId, fromId, name, text }
+ * reply: async (text, extra) => void
+ */
+export async function handleMessage({ chatId, fromId, name, text }, reply) {
+  const msg = (text || "").trim();
+
+  // Strangers can only pair ("/start CÓDIGO"); nothing else runs, no User is created
+  if (!(await isTelegramAllowed({ fromId, chatId }))) {
+    const code = accessCodeFrom(msg);
+    if (!code || !(await redeemAccessCode(code, { fromId, chatId, name }))) {
+      console.warn(`Telegram: ignored message from ${fromId} in chat ${chatId} (not allowed)`);
+      await reply(code ? "❌ Código inválido, usado o vencido." : `${NOT_ALLOWED_MSG}\nTu ID: ${fromId || chatId}`);
+      return;
+    }
+  }
+
+  const user = await resolveTelegramUser({ fromId, chatId, name });
+  const ctx = { chatId: String(chatId), fromId: fromId ? String(fromId) : null, text: msg, user, reply };
+
+  const found = matchCommand(msg);
+  if (!found) {
+    await reply(helpText());
+    return;
+  }
+
+  try {
+    await found.cmd.run(ctx, found.args);
+  } catch (e) {
+    if (e?.code === "not_connected") {
+      await reply(NOT_CONNECTED_MSG);
+      return;
+    }
+    if (isInvalidGrant(e)) {
+      await markGoogleRevoked(user, { notify: false });
+      await reply(REVOKED_MSG);
+      return;
+    }
+    console.error(`Command ${found.cmd.name} error:`, e);
+    await reply(`❌ Error: ${e.message}`);
+  }
+}
@@ -1,4 +1,13 @@
 // Muëcy Ops — Email classification rules
+//
+// Per-user rules live in the EmailRule table and are evaluated in order
+// (position asc); the first rule whose conditions all match wins. When no
+// rule matches, the built-in classifyEmail() defaults apply.
+//
+// Rule text (Telegram: "regla: ..."):
+//   from:@supplier.com -> P1
+//   domain:stripe.com subject:"payout" -> skip
+//   subject:estimate -> P1, tag:ventas, due:+2d
 
 export function classifyEmail({ subject = "", from = "", snippet = "" }) {
   const text = `${subject} ${from} ${snippet}`.toLowerCase();
@@ -20,3 +29,155 @@ export function classifyEmail({ subject = "", from = "", snippet = "" }) {
   // Default: create a normal task (you asked: read all emails)
   return { createTask: true, priority: 2, reason: "default" };
 }
+
+/* =========================
+RULE PARSING
+========================= */
+
+const CONDITION_FIELDS = ["from", "domain", "subject", "snippet"];
+
+// "key:value" or key:"quoted value"
+const TOKEN_RE = /(\w+)\s*:\s*(?:"([^"]*)"|(\S+))/g;
+
+function tokens(str) {
+  const out = [];
+  for (const m of (str || "").matchAll(TOKEN_RE)) {
+    out.push({ key: m[1].toLowerCase(), value: (m[2] ?? m[3] ?? "").trim() });
+  }
+  return out;
+}
+
+/**
+ * "from:@x.com subject:factura" -> [{ field: "from", value: "@x.com" }, ...]
+ * Throws with a user-facing message on unknown fields.
+ */
+export function parseConditions(str) {
+  const conditions = tokens(str).map(({ key, value }) => {
+    if (!CONDITION_FIELDS.includes(key)) {
+      throw new Error(`Condición desconocida "${key}". Usa: ${CONDITION_FIELDS.join(", ")}`);
+    }
+    if (!value) throw new Error(`Falta valor en "${key}:"`);
+    return { field: key, value: value.toLowerCase() };
+  });
+
+  if (!conditions.length) throw new Error('Falta condición. Ej: "from:@supplier.com"');
+  return conditions;
+}
+
+/**
+ * "P1, tag:ventas, due:+2d" -> { skip, priority, tags, dueOffsetHours }
+ */
+export function parseActions(str) {
+  const actions = { skip: false, priority: null, tags: [], dueOffsetHours: null };
+
+  for (const raw of (str || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const low = raw.toLowerCase();
+
+    if (low === "skip" || low === "ignorar") {
+      actions.skip = true;
+      continue;
+    }
+
+    const p = low.match(/^p([1-3])$/);
+    if (p) {
+      actions.priority = Number(p[1]);
+      continue;
+    }
+
+    const tag = raw.match(/^tag\s*:\s*(.+)$/i);
+    if (tag) {
+      actions.tags.push(tag[1].trim());
+      continue;
+    }
+
+    const due = low.match(/^due\s*:\s*\+?(\d{1,3})\s*([dh])?$/);
+    if (due) {
+      const n = Number(due[1]);
+      actions.dueOffsetHours = due[2] === "h" ? n : n * 24;
+      continue;
+    }
+
+    throw new Error(`Acción desconocida "${raw}". Usa: skip, P1-P3, tag:x, due:+2d`);
+  }
+
+  if (!actions.skip && !actions.priority && !actions.tags.length && actions.dueOffsetHours == null) {
+    throw new Error('Falta acción. Ej: "-> P1" o "-> skip"');
+  }
+
+  return actions;
+}
+
+/**
+ * "from:@supplier.com -> P1" -> { conditions: "from:@supplier.com", actions: "P1" }
+ * Validates both sides; stores the text as written so it lists back the same.
+ */
+export function parseRuleText(text) {
+  const [left, right, extra] = (text || "").split("->");
+  if (right == null || extra != null) {
+    throw new Error('Formato: regla: from:@supplier.com -> P1');
+  }
+
+  const conditions = left.trim();
+  const actions = right.trim();
+  parseConditions(conditions);
+  parseActions(actions);
+
+  return { conditions, actions };
+}
+
+/* =========================
+EVALUATION
+========================= */
+
+function senderAddress(from) {
+  const m = (from || "").match(/<([^>]+)>/);
+  return (m ? m[1] : from || "").trim().toLowerCase();
+}
+
+function conditionMatches({ field, value }, email) {
+  const from = (email.from || "").toLowerCase();
+
+  if (field === "from") return from.includes(value);
+  if (field === "domain") {
+    const domain = senderAddress(from).split("@")[1] || "";
+    const want = value.replace(/^@/, "");
+    return domain === want || domain.endsWith(`.${want}`);
+  }
+  if (field === "subject") return (email.subject || "").toLowerCase().includes(value);
+  if (field === "snippet") return (email.snippet || "").toLowerCase().includes(value);
+  return false;
+}
+
+/**
+ * rules: EmailRule rows sorted by position.
+ * Returns the built-in classification extended with:
+ *   ruleId, tags, dueOffsetHours, reason ("regla #n" when a rule matched)
+ */
+export function applyEmailRules(rules, email) {
+  const base = classifyEmail(email);
+
+  for (const [i, rule] of (rules || []).entries()) {
+    let conditions;
+    let actions;
+    try {
+      conditions = parseConditions(rule.conditions);
+      actions = parseActions(rule.actions);
+    } catch (e) {
+      console.error(`EmailRule ${rule.id} invalid:`, e.message);
+      continue;
+    }
+
+    if (!conditions.every((c) => conditionMatches(c, email))) continue;
+
+    return {
+      createTask: !actions.skip,
+      priority: actions.priority || (base.priority === 3 ? 2 : base.priority),
+      tags: actions.tags,
+      dueOffsetHours: actions.dueOffsetHours,
+      ruleId: rule.id,
+      reason: `regla #${i + 1}`,
+    };
+  }
+
+  return { ...base, tags: [], dueOffsetHours: null, ruleId: null };
+}
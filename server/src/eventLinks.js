@@ -0,0 +1,100 @@
+// Muëcy Ops — Calendar event <-> task links
+//
+// "event: ... / task: enviar estimate" stores the event id on the task
+// (Task.eventId) and uses the event start as its due date. From then on the
+// event leads: moving it (mover/duracion or directly in Google Calendar)
+// moves the task, cancelling it blocks the task with a reason.
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { getEvent } from "./calendar.js";
+import { OPEN_STATUSES, changeTaskStatus, formatTaskSummary } from "./tasks.js";
+import { chatIdFor, userPrefs } from "./users.js";
+import { telegramSend } from "./telegram.js";
+
+const CALENDAR_ACTOR = { label: "calendar" };
+export const CANCELLED_REASON = "📅 evento cancelado";
+
+// Due date for a task linked to `event`: its start (all-day: end of that day)
+export function eventDueAt(event, { zone }) {
+  if (event.allDay) return DateTime.fromISO(event.start, { zone }).endOf("day").toJSDate();
+  return DateTime.fromISO(event.start).toJSDate();
+}
+
+export function listLinkedTasks(userId, eventId) {
+  return prisma.task.findMany({
+    where: { userId, eventId, status: { in: OPEN_STATUSES } },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * After an event moved: copy its new start to the linked open tasks.
+ * Returns the tasks that changed.
+ */
+export async function followEvent(user, event) {
+  const dueAt = eventDueAt(event, userPrefs(user));
+  const tasks = await listLinkedTasks(user.id, event.id);
+
+  const moved = [];
+  for (const t of tasks) {
+    if (t.dueAt && t.dueAt.getTime() === dueAt.getTime()) continue;
+    moved.push(await prisma.task.update({ where: { id: t.id }, data: { dueAt } }));
+  }
+  return moved;
+}
+
+/**
+ * After an event was cancelled: block its linked open tasks (the reason
+ * says why) and drop the dead link, so "reopen:" brings them back for good.
+ * Returns the flagged tasks.
+ */
+export async function flagCancelledEvent(user, eventId) {
+  const tasks = await listLinkedTasks(user.id, eventId);
+
+  const flagged = [];
+  for (const t of tasks) {
+    await changeTaskStatus(t, "BLOCKED", { actor: CALENDAR_ACTOR, reason: CANCELLED_REASON });
+    flagged.push(await prisma.task.update({ where: { id: t.id }, data: { eventId: null } }));
+  }
+  return flagged;
+}
+
+/**
+ * Catches changes made directly in Google Calendar: for every open task
+ * linked to an event, follow a new start or flag a cancellation, and tell
+ * the user on Telegram.
+ */
+export async function syncEventLinks(user) {
+  const linked = await prisma.task.findMany({
+    where: { userId: user.id, eventId: { not: null }, status: { in: OPEN_STATUSES } },
+    distinct: ["eventId"],
+    select: { eventId: true },
+  });
+
+  const prefs = userPrefs(user);
+  const lines = [];
+  let moved = 0;
+  let flagged = 0;
+
+  for (const { eventId } of linked) {
+    const event = await getEvent(user, eventId);
+
+    if (!event || event.cancelled) {
+      const tasks = await flagCancelledEvent(user, eventId);
+      flagged += tasks.length;
+      lines.push(...tasks.map((t) => `• ${formatTaskSummary(t, prefs)}`));
+      continue;
+    }
+
+    const tasks = await followEvent(user, event);
+    moved += tasks.length;
+    lines.push(...tasks.map((t) => `• ${formatTaskSummary(t, prefs)} (${event.summary || "evento"} cambió de hora)`));
+  }
+
+  const chatId = chatIdFor(user);
+  if (lines.length && chatId) {
+    await telegramSend(chatId, ["🔗 Cambios en eventos con tareas:", ...lines].join("\n"));
+  }
+
+  return { events: linked.length, moved, flagged };
+}
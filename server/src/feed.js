@@ -0,0 +1,74 @@
+// Muëcy Ops — Calendar feed of due tasks
+//
+// GET /feed/<userId>.<signature>.ics: the user's open tasks with a due date,
+// plus those assigned to them as a team member (see "mis tareas"), as
+// events (priority, status and assignee in the body), for phone calendars
+// to subscribe to. No login: the signature is the secret. It covers
+// User.feedVersion, so "feed nuevo" kills the old link; null = feed off.
+// Built on every request, so it follows task changes; overdue tasks are
+// pinned to today (all day, at the top) unless ?overdue=0.
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { OPEN_STATUSES, assignedToConditions } from "./tasks.js";
+import { signature } from "./signing.js";
+import { safeEqual } from "./access.js";
+import { userPrefs } from "./users.js";
+import { buildCalendar, taskEvent } from "./ical.js";
+
+const REFRESH_MINUTES = 15;
+const MAX_TASKS = 500;
+
+function feedToken(user) {
+  return `${user.id}.${signature(`feed:${user.id}:${user.feedVersion}`)}`;
+}
+
+export function feedUrl(user) {
+  const base = process.env.APP_BASE_URL;
+  if (!base || user.feedVersion == null) return null;
+  return `${base}/feed/${feedToken(user)}.ics`;
+}
+
+// Turns the feed on (keeps the current link) or, with rotate, gives it a new one
+export function enableFeed(user, { rotate = false } = {}) {
+  const feedVersion = rotate || user.feedVersion == null ? (user.feedVersion || 0) + 1 : user.feedVersion;
+  return prisma.user.update({ where: { id: user.id }, data: { feedVersion } });
+}
+
+export function disableFeed(user) {
+  return prisma.user.update({ where: { id: user.id }, data: { feedVersion: null } });
+}
+
+// The user a feed token belongs to, or null (unknown, revoked, feed off)
+export async function findFeedUser(token) {
+  const [id, sig] = String(token || "").split(".");
+  if (!id || !sig) return null;
+
+  const user = await prisma.user.findUnique({ where: { id } }).catch(() => null);
+  if (!user || user.feedVersion == null) return null;
+  return safeEqual(sig, feedToken(user).split(".")[1]) ? user : null;
+}
+
+/**
+ * The .ics body. overdue: open tasks past their due date become all-day
+ * events today ("⚠️ vencida") instead of staying on their old day.
+ */
+export async function buildFeed(user, { overdue = true, now = DateTime.now() } = {}) {
+  const prefs = userPrefs(user);
+  const today = now.setZone(prefs.zone).startOf("day");
+
+  const assigned = await assignedToConditions(user.id);
+  const tasks = await prisma.task.findMany({
+    where: { OR: [{ userId: user.id }, ...assigned], status: { in: OPEN_STATUSES }, dueAt: { not: null } },
+    include: { assignedTo: true },
+    orderBy: [{ dueAt: "asc" }, { priority: "asc" }],
+    take: MAX_TASKS,
+  });
+
+  const components = tasks.map((t) =>
+    overdue && t.dueAt < now.toJSDate()
+      ? taskEvent(t, prefs, { on: today, prefix: "⚠️ " })
+      : taskEvent(t, prefs)
+  );
+
+  return buildCalendar(components, { name: "Muëcy Ops — vencimientos", refreshMinutes: REFRESH_MINUTES });
+}
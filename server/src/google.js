@@ -8,8 +8,20 @@ export function getOAuthClient() {
   );
 }
 
-// Minimal permissions for MVP: read Gmail, read/write Calendar
+// Minimal permissions for MVP: read Gmail, read/write Calendar,
+// plus the account email to label each user
 export const SCOPES = [
   "https://www.googleapis.com/auth/gmail.readonly",
-  "https://www.googleapis.com/auth/calendar"
+  "https://www.googleapis.com/auth/calendar",
+  "https://www.googleapis.com/auth/userinfo.email"
 ];
+
+// Email of the Google account behind `auth` (null if unavailable)
+export async function getGoogleEmail(auth) {
+  try {
+    const info = await google.oauth2({ version: "v2", auth }).userinfo.get();
+    return info.data.email || null;
+  } catch {
+    return null;
+  }
+}
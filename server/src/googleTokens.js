@@ -0,0 +1,172 @@
+// Muëcy Ops — Google OAuth token manager
+//
+// - Stored tokens (User.accessToken / refreshToken) are encrypted with
+//   AES-256-GCM when TOKEN_ENCRYPTION_KEY is set ("enc1:" prefix); older
+//   plain-text values still read fine and are encrypted on boot.
+// - Refreshed access tokens are written back; a missing refresh_token never
+//   erases the one we have (Google only sends it on the first consent).
+// - invalid_grant (access revoked, password change, token expired) clears the
+//   tokens and tells the user on Telegram to "conectar" again.
+import crypto from "node:crypto";
+import { google } from "googleapis";
+import { prisma } from "./db.js";
+import { getOAuthClient } from "./google.js";
+import { chatIdFor } from "./users.js";
+import { telegramSend } from "./telegram.js";
+
+const PREFIX = "enc1:";
+const REFRESH_MARGIN_MS = 60 * 1000;
+export const REVOKED_MSG = "⚠️ Google se desconectó (acceso revocado o vencido). Vuelve a conectar con: conectar";
+
+/* =========================
+ENCRYPTION
+========================= */
+
+// Any string works as the key; it is stretched to 32 bytes with SHA-256
+function encryptionKey() {
+  const k = process.env.TOKEN_ENCRYPTION_KEY;
+  return k ? crypto.createHash("sha256").update(k).digest() : null;
+}
+
+export function encryptToken(plain) {
+  const key = encryptionKey();
+  if (!plain || !key || plain.startsWith(PREFIX)) return plain ?? null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), data].map((b) => b.toString("base64url")).join(".");
+}
+
+export function decryptToken(stored) {
+  if (!stored || !stored.startsWith(PREFIX)) return stored ?? null;
+
+  const key = encryptionKey();
+  if (!key) throw new Error("Missing TOKEN_ENCRYPTION_KEY (tokens are encrypted)");
+
+  const [iv, tag, data] = stored.slice(PREFIX.length).split(".").map((s) => Buffer.from(s, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+}
+
+/**
+ * Boot step: encrypts tokens still stored in plain text. Returns how many
+ * users were updated (0 without TOKEN_ENCRYPTION_KEY).
+ */
+export async function encryptStoredTokens() {
+  if (!encryptionKey()) return 0;
+
+  const users = await prisma.user.findMany({
+    where: { OR: [{ accessToken: { not: null } }, { refreshToken: { not: null } }] },
+    select: { id: true, accessToken: true, refreshToken: true },
+  });
+
+  let updated = 0;
+  for (const u of users) {
+    const plain = [u.accessToken, u.refreshToken].some((t) => t && !t.startsWith(PREFIX));
+    if (!plain) continue;
+    await prisma.user.update({
+      where: { id: u.id },
+      data: { accessToken: encryptToken(u.accessToken), refreshToken: encryptToken(u.refreshToken) },
+    });
+    updated++;
+  }
+  return updated;
+}
+
+/* =========================
+STORAGE
+========================= */
+
+/**
+ * Saves what Google sent (OAuth callback or a refresh). Fields Google left
+ * out keep their stored value, so the refresh token survives.
+ */
+export function saveGoogleTokens(userId, tokens, extra = {}) {
+  return prisma.user.update({
+    where: { id: userId },
+    data: {
+      ...(tokens.access_token && { accessToken: encryptToken(tokens.access_token) }),
+      ...(tokens.refresh_token && { refreshToken: encryptToken(tokens.refresh_token) }),
+      ...(tokens.expiry_date && { tokenExpiry: new Date(tokens.expiry_date) }),
+      ...extra,
+    },
+  });
+}
+
+export function isInvalidGrant(err) {
+  const data = err?.response?.data;
+  return data?.error === "invalid_grant" || /invalid_grant/.test(String(err?.message || ""));
+}
+
+function notConnected() {
+  const e = new Error("not_connected");
+  e.code = "not_connected";
+  return e;
+}
+
+/**
+ * Google refused our refresh token: forget the tokens (so jobs stop trying)
+ * and ask the user to reconnect (notify: false when the caller replies itself).
+ */
+export async function markGoogleRevoked(user, { notify = true } = {}) {
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { accessToken: null, refreshToken: null, tokenExpiry: null },
+  });
+  console.warn(`Google access revoked for user ${user.id} (invalid_grant)`);
+
+  const chatId = chatIdFor(user);
+  if (notify && chatId) await telegramSend(chatId, REVOKED_MSG);
+}
+
+/* =========================
+AUTHORIZED CLIENT
+========================= */
+
+/**
+ * OAuth client for `user` with fresh credentials: refreshes up front when
+ * the access token is (about to be) expired, and saves any token the
+ * library refreshes later on. Throws code "not_connected" when the user
+ * never connected or Google revoked the grant.
+ */
+export async function googleAuthForUser(user) {
+  if (!user?.accessToken && !user?.refreshToken) throw notConnected();
+
+  const auth = getOAuthClient();
+  auth.setCredentials({
+    access_token: decryptToken(user.accessToken) || undefined,
+    refresh_token: decryptToken(user.refreshToken) || undefined,
+    expiry_date: user.tokenExpiry ? new Date(user.tokenExpiry).getTime() : undefined,
+  });
+
+  const expired = !user.accessToken || !user.tokenExpiry
+    || new Date(user.tokenExpiry).getTime() - Date.now() < REFRESH_MARGIN_MS;
+
+  if (expired && user.refreshToken) {
+    try {
+      const { credentials } = await auth.refreshAccessToken();
+      const saved = await saveGoogleTokens(user.id, credentials);
+      // Callers often reuse this user object for a second call: keep it current
+      Object.assign(user, {
+        accessToken: saved.accessToken,
+        refreshToken: saved.refreshToken,
+        tokenExpiry: saved.tokenExpiry,
+      });
+    } catch (e) {
+      if (!isInvalidGrant(e)) throw e;
+      await markGoogleRevoked(user);
+      throw notConnected();
+    }
+  } else if (!user.accessToken) {
+    throw notConnected();
+  }
+
+  // Refreshes the library does on its own (e.g. after a 401) are kept too
+  auth.on("tokens", (tokens) => {
+    saveGoogleTokens(user.id, tokens).catch((e) => console.error(`Saving Google tokens failed (${user.id}):`, e));
+  });
+
+  return { google, auth };
+}
@@ -0,0 +1,137 @@
+// Muëcy Ops — iCalendar (RFC 5545) output for tasks
+//
+// Tasks due at 23:59 local (a date without time, see parseDueDate) become
+// all-day entries; the rest keep their time, in UTC.
+import { DateTime } from "luxon";
+import { formatDue } from "./when.js";
+
+const PRODID = "-//Muecy Ops//Tasks//ES";
+const STATUS_LABELS = { PENDING: "pendiente", DOING: "en curso", BLOCKED: "bloqueada", DONE: "hecha" };
+const TODO_STATUS = { PENDING: "NEEDS-ACTION", DOING: "IN-PROCESS", BLOCKED: "NEEDS-ACTION", DONE: "COMPLETED" };
+// iCalendar priority: 1 highest, 9 lowest
+const ICS_PRIORITY = { 1: 1, 2: 5, 3: 9 };
+const EVENT_MINUTES = 30;
+
+export function escapeText(s) {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const out = [];
+  let chunk = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (out.length ? 74 : 75)) {
+      out.push(chunk);
+      chunk = "";
+      bytes = 0;
+    }
+    chunk += ch;
+    bytes += n;
+  }
+  out.push(chunk);
+  return out.join("\r\n ");
+}
+
+export function icsDateTime(date) {
+  return DateTime.fromJSDate(new Date(date)).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+function isAllDay(local) {
+  return local.hour === 23 && local.minute === 59;
+}
+
+/**
+ * Wraps components (arrays of "NAME:value" lines) in a VCALENDAR.
+ * name: calendar name shown by subscribing apps; refreshMinutes: how often
+ * subscribers should fetch it again (feeds).
+ */
+export function buildCalendar(components, { name, refreshMinutes } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...(refreshMinutes
+      ? [`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`]
+      : []),
+    ...components.flat(),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+// Priority, status, assignee, tags and description, one per line
+export function taskBody(task, prefs = {}) {
+  return [
+    `Prioridad: P${task.priority}`,
+    `Estado: ${STATUS_LABELS[task.status] || task.status}${task.blockedReason ? ` (${task.blockedReason})` : ""}`,
+    task.dueAt ? `Vence: ${formatDue(task.dueAt, prefs)}` : null,
+    task.assignedTo?.name || task.assignee ? `Responsable: ${task.assignedTo?.name || task.assignee}` : null,
+    task.tags?.length ? `Etiquetas: ${task.tags.join(", ")}` : null,
+    task.description ? `\n${task.description}` : null,
+  ]
+    .filter((l) => l != null)
+    .join("\n");
+}
+
+// uid: "task" (VTODO) or "due" (VEVENT), so both can share a calendar
+function common(task, prefs, uid) {
+  return [
+    `UID:${uid}-${task.id}@muecy-ops`,
+    `DTSTAMP:${icsDateTime(task.updatedAt || new Date())}`,
+    `LAST-MODIFIED:${icsDateTime(task.updatedAt || new Date())}`,
+    `CREATED:${icsDateTime(task.createdAt || new Date())}`,
+    `PRIORITY:${ICS_PRIORITY[task.priority] || 5}`,
+    `DESCRIPTION:${escapeText(taskBody(task, prefs))}`,
+    ...(task.tags?.length ? [`CATEGORIES:${task.tags.map(escapeText).join(",")}`] : []),
+  ];
+}
+
+// VTODO (Apple Reminders, Thunderbird, ...); DUE only when the task has one
+export function taskTodo(task, prefs = {}) {
+  const lines = [
+    "BEGIN:VTODO",
+    ...common(task, prefs, "task"),
+    `SUMMARY:${escapeText(task.title)}`,
+    `STATUS:${TODO_STATUS[task.status] || "NEEDS-ACTION"}`,
+  ];
+
+  if (task.dueAt) {
+    const local = DateTime.fromJSDate(task.dueAt).setZone(prefs.zone);
+    lines.push(isAllDay(local) ? `DUE;VALUE=DATE:${local.toFormat("yyyyMMdd")}` : `DUE:${icsDateTime(task.dueAt)}`);
+  }
+  if (task.status === "DONE") lines.push(`COMPLETED:${icsDateTime(task.updatedAt || new Date())}`);
+
+  lines.push("END:VTODO");
+  return lines;
+}
+
+/**
+ * VEVENT at the task's due time (calendar apps that ignore VTODO).
+ * on: all-day on that day instead (overdue tasks pinned to today, see feed.js);
+ * prefix: put in front of the title.
+ */
+export function taskEvent(task, prefs = {}, { on = null, prefix = "" } = {}) {
+  const due = DateTime.fromJSDate(task.dueAt).setZone(prefs.zone);
+  const title = `${prefix}[P${task.priority}] ${task.title}`;
+  const lines = ["BEGIN:VEVENT", ...common(task, prefs, "due"), `SUMMARY:${escapeText(title)}`];
+
+  if (on || isAllDay(due)) {
+    const day = on || due;
+    lines.push(`DTSTART;VALUE=DATE:${day.toFormat("yyyyMMdd")}`, `DTEND;VALUE=DATE:${day.plus({ days: 1 }).toFormat("yyyyMMdd")}`);
+  } else {
+    lines.push(`DTSTART:${icsDateTime(task.dueAt)}`, `DTEND:${icsDateTime(due.plus({ minutes: EVENT_MINUTES }).toJSDate())}`);
+  }
+
+  lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  return lines;
+}
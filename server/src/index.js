@@ -2,11 +2,28 @@
 import "dotenv/config";
 import express from "express";
 import cron from "node-cron";
-import { DateTime } from "luxon";
 
 import { prisma } from "./db.js";
-import { getOAuthClient, SCOPES } from "./google.js";
+import { getOAuthClient, getGoogleEmail, SCOPES } from "./google.js";
 import { syncGmailToTasks } from "./jobs.js";
+import { ensureOwner, chatIdFor, listConnectedUsers, listNotifiableUsers } from "./users.js";
+import { listUpcomingEvents } from "./calendar.js";
+import { telegramSend, telegramEdit, telegramAnswerCallback, telegramSetWebhook } from "./telegram.js";
+import { handleMessage } from "./commands.js";
+import { handleCallback } from "./taskButtons.js";
+import { startBot } from "./bot.js";
+import { sendDueReminders } from "./reminders.js";
+import { runDueBriefings, hasDueBriefings } from "./briefing.js";
+import { runDueReports, hasDueReports } from "./reports.js";
+import { syncEventLinks } from "./eventLinks.js";
+import { verify } from "./signing.js";
+import { tasksApi, transferApi } from "./api.js";
+import { requireOpsAuth } from "./apiTokens.js";
+import { safeEqual } from "./access.js";
+import { encryptStoredTokens, saveGoogleTokens } from "./googleTokens.js";
+import { defineJob, runJob, scheduleJobs, forEachUser, cleanupJobRuns, jobsOverview, listJobRuns } from "./jobRunner.js";
+import { webApp } from "./web.js";
+import { findFeedUser, buildFeed } from "./feed.js";
 
 /* =========================
 APP
@@ -19,262 +36,25 @@ app.set("trust proxy", 1);
 app.use(express.json({ limit: "2mb" }));
 
 /* =========================
-UTILS
+BOOT
 ========================= */
-function getBaseUrl(req) {
-  // Prefer APP_BASE_URL (Railway) but fallback to request host
-  return process.env.APP_BASE_URL || `${req.protocol}://${req.get("host")}`;
-}
-
-async function telegramSend(chatId, text) {
-  const token = process.env.TELEGRAM_BOT_TOKEN;
-  if (!token || !chatId) return { ok: false, skipped: true };
-
-  const r = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ chat_id: chatId, text }),
-  });
-
-  const data = await r.json().catch(() => ({}));
-  return { ok: r.ok, status: r.status, data };
-}
-
-function pickField(str, key) {
-  // key: loc | addr | desc | invite | task
-  // acepta: "loc: Miami" hasta antes del próximo "/"
-  const re = new RegExp(`\\b${key}\\s*:\\s*([^/]+)`, "i");
-  const m = str.match(re);
-  return m ? m[1].trim() : "";
-}
-
-function stripFields(str) {
-  return str
-    .replace(/\bloc\s*:\s*[^/]+/gi, "")
-    .replace(/\baddr\s*:\s*[^/]+/gi, "")
-    .replace(/\bdesc\s*:\s*[^/]+/gi, "")
-    .replace(/\binvite\s*:\s*[^/]+/gi, "")
-    .replace(/\btask\s*:\s*[^/]+/gi, "")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-function isExplicitDate(s) {
-  return /^\d{4}-\d{2}-\d{2}$/.test((s || "").trim());
-}
-function isMinutes(s) {
-  return /^\d{1,4}$/.test((s || "").trim());
-}
-
-/**
- * Parse "mañana 9pm", "tomorrow 10am", "2026-02-23 15:00", "15:30", "3pm"
- * Devuelve ISO local (YYYY-MM-DDTHH:mm:ss±offset) y tz (America/New_York)
- */
-function parseWhenToNYLocal(whenText) {
-  const tz = "America/New_York";
-  const wRaw = (whenText || "").trim();
-  const w = wRaw.toLowerCase();
-
-  if (!wRaw) throw new Error('Falta fecha/hora. Ej: "mañana 9pm"');
-
-  // base = "hoy" en NY
-  let base = DateTime.now().setZone(tz);
-
-  // detectar fecha explícita YYYY-MM-DD
-  const explicitDateMatch = w.match(/(\d{4})-(\d{2})-(\d{2})/);
-  const hasExplicitDate = Boolean(explicitDateMatch);
-
-  if (!hasExplicitDate) {
-    if (w.includes("mañana") || w.includes("manana") || w.includes("tomorrow")) {
-      base = base.plus({ days: 1 });
-    }
-  }
-
-  // Extraer hora de forma segura:
-  // Preferimos HH:MM (con o sin am/pm), o H am/pm.
-  // Evita confundir "2026" con hora.
-  let timeMatch =
-    w.match(/\b(\d{1,2}):(\d{2})\s*(am|pm)?\b/i) ||
-    w.match(/\b(\d{1,2})\s*(am|pm)\b/i);
-
-  if (!timeMatch) {
-    throw new Error('No pude leer la hora. Ej: "mañana 9pm" o "2026-02-23 15:00"');
-  }
-
-  let hh;
-  let mm;
-  let ampm = "";
-
-  if (timeMatch.length >= 4 && timeMatch[0].includes(":")) {
-    hh = parseInt(timeMatch[1], 10);
-    mm = parseInt(timeMatch[2], 10);
-    ampm = (timeMatch[3] || "").toLowerCase();
-  } else {
-    hh = parseInt(timeMatch[1], 10);
-    mm = 0;
-    ampm = (timeMatch[2] || "").toLowerCase();
-  }
+async function boot() {
+  const owner = await ensureOwner();
 
-  if (Number.isNaN(hh) || Number.isNaN(mm)) throw new Error("Hora inválida.");
-
-  if (ampm === "pm" && hh < 12) hh += 12;
-  if (ampm === "am" && hh === 12) hh = 0;
-
-  let dt;
-  if (hasExplicitDate) {
-    const [, Y, M, D] = explicitDateMatch;
-    dt = DateTime.fromObject(
-      {
-        year: Number(Y),
-        month: Number(M),
-        day: Number(D),
-        hour: hh,
-        minute: mm,
-        second: 0,
-        millisecond: 0,
-      },
-      { zone: tz }
-    );
+  if (process.env.TOKEN_ENCRYPTION_KEY) {
+    const n = await encryptStoredTokens();
+    if (n) console.log(`🔐 Encrypted Google tokens of ${n} user(s)`);
   } else {
-    dt = base.set({ hour: hh, minute: mm, second: 0, millisecond: 0 });
-  }
-
-  if (!dt.isValid) throw new Error("Fecha/hora inválida.");
-  return { tz, localISO: dt.toISO({ suppressMilliseconds: true }) };
-}
-
-function addMinutesNY(localISO, minutes) {
-  const tz = "America/New_York";
-  const dt = DateTime.fromISO(localISO, { zone: tz });
-  const end = dt.plus({ minutes: Number.isFinite(minutes) ? minutes : 60 });
-  return end.toISO({ suppressMilliseconds: true });
-}
-
-function prettyNY(localISO) {
-  const tz = "America/New_York";
-  const dt = DateTime.fromISO(localISO, { zone: tz });
-  return dt.toFormat("ccc '–' LLL d '–' h:mm a");
-}
-
-/**
- * Parser de partes para eventos:
- * Soporta:
- * - title / mañana 9pm / 60
- * - title / 2026-03-03 13:00 / 60
- * - title / 13:00 / 2026-03-03 / Miami
- * - title / 2026-03-03 / 13:00 / 60 / Miami
- * - title / 2026-03-03-15:00 / Miami
- */
-function parseEventParts(parts) {
-  const all = parts.map((x) => (x || "").trim()).filter(Boolean);
-
-  let dateToken = "";
-  let timeToken = "";
-  let minutes = 60;
-  let leftoverLocation = "";
-
-  const extractDate = (s) => {
-    const m = (s || "").match(/(\d{4}-\d{2}-\d{2})/);
-    return m ? m[1] : "";
-  };
-
-  const extractTime = (s) => {
-    const t = (s || "").toLowerCase();
-    const m =
-      t.match(/(\d{1,2}:\d{2})\s*(am|pm)?/) ||
-      t.match(/\b(\d{1,2})\s*(am|pm)\b/);
-    if (!m) return "";
-    return m[0].replace(/\s+/g, "");
-  };
-
-  const title = all[0] || "Evento Muëcy Ops";
-  const rest = all.slice(1);
-
-  // por si el título trae fecha/hora pegada
-  dateToken = extractDate(title) || dateToken;
-  timeToken = extractTime(title) || timeToken;
-
-  for (const tokenRaw of rest) {
-    const token = (tokenRaw || "").trim();
-    if (!token) continue;
-
-    if (!dateToken) {
-      const d = extractDate(token);
-      if (d) {
-        dateToken = d;
-        continue;
-      }
-    }
-
-    if (!timeToken) {
-      const t = extractTime(token);
-      if (t) {
-        timeToken = t;
-        continue;
-      }
-    }
-
-    if (isMinutes(token)) {
-      const n = parseInt(token, 10);
-      if (Number.isFinite(n) && n >= 1 && n <= 1440) {
-        minutes = n;
-        continue;
-      }
-    }
-
-    if (!leftoverLocation) leftoverLocation = token;
+    console.warn("⚠️ Missing TOKEN_ENCRYPTION_KEY: Google tokens are stored in plain text");
   }
 
-  let whenText = "";
-  if (dateToken && timeToken) whenText = `${dateToken} ${timeToken}`;
-  else if (timeToken) whenText = timeToken;
-  else if (dateToken) whenText = dateToken;
+  const jobRuns = await cleanupJobRuns();
+  if (jobRuns.stale) console.warn(`⚠️ ${jobRuns.stale} job run(s) were interrupted by a restart`);
 
-  return { title, whenText, minutes, leftoverLocation };
-}
-
-/* =========================
-SINGLE OWNER (MVP)
-========================= */
-async function ensureOwner() {
-  const email = process.env.OWNER_EMAIL || "owner@muecy.local";
-  let user = await prisma.user.findUnique({ where: { email } });
-  if (!user) user = await prisma.user.create({ data: { email } });
-  return user;
-}
-
-let owner = null;
-
-async function boot() {
-  owner = await ensureOwner();
   console.log("✅ Boot OK");
   console.log(`👤 Owner: ${owner.email} (${owner.id})`);
 }
 
-/* =========================
-GOOGLE HELPERS (OAuth owner)
-========================= */
-async function getOwnerGoogleAuthOrThrow() {
-  const ownerEmail = process.env.OWNER_EMAIL || "owner@muecy.local";
-  const u = await prisma.user.findUnique({ where: { email: ownerEmail } });
-
-  if (!u?.accessToken) {
-    const e = new Error("not_connected");
-    e.code = "not_connected";
-    throw e;
-  }
-
-  const auth = getOAuthClient();
-  auth.setCredentials({
-    access_token: u.accessToken,
-    refresh_token: u.refreshToken || undefined,
-    expiry_date: u.tokenExpiry ? new Date(u.tokenExpiry).getTime() : undefined,
-  });
-
-  const { google } = await import("googleapis");
-  return { google, auth };
-}
-
 /* =========================
 ROUTES
 ========================= */
@@ -283,13 +63,27 @@ app.get("/health", (req, res) => res.status(200).json({ ok: true, service: "muec
 
 /* -------------------------
 GOOGLE OAUTH
+Telegram "conectar" hands out /auth/google?s=<signed state>; the state
+travels through Google and tells the callback which user/chat asked.
+Both routes refuse requests without a valid state.
 ------------------------- */
+const INVALID_OAUTH_LINK = "Link inválido o vencido. Pide uno nuevo en Telegram con: conectar";
+
+// Only "conectar" states: any other signed token (web login, ...) is refused
+function oauthState(token) {
+  const state = token ? verify(String(token)) : null;
+  return state?.kind === "oauth" ? state : null;
+}
+
 app.get("/auth/google", async (req, res) => {
+  if (!oauthState(req.query.s)) return res.status(400).send(INVALID_OAUTH_LINK);
+
   const oauth2 = getOAuthClient();
   const url = oauth2.generateAuthUrl({
     access_type: "offline",
     prompt: "consent",
     scope: SCOPES,
+    state: String(req.query.s),
   });
   return res.redirect(url);
 });
@@ -299,19 +93,27 @@ app.get("/auth/google/callback", async (req, res) => {
     const code = req.query.code;
     if (!code) return res.status(400).send("Missing ?code");
 
+    const state = oauthState(req.query.state);
+    if (!state) return res.status(400).send(INVALID_OAUTH_LINK);
+
     const oauth2 = getOAuthClient();
     const { tokens } = await oauth2.getToken(code);
     oauth2.setCredentials(tokens);
 
-    const ownerEmail = process.env.OWNER_EMAIL || "owner@muecy.local";
-    await prisma.user.update({
-      where: { email: ownerEmail },
-      data: {
-        accessToken: tokens.access_token || null,
-        refreshToken: tokens.refresh_token || null,
-        tokenExpiry: tokens.expiry_date ? new Date(tokens.expiry_date) : null,
-      },
-    });
+    const user = await prisma.user.findUnique({ where: { id: state.uid } });
+    if (!user) return res.status(400).send("Usuario no encontrado. Pide un link nuevo con: conectar");
+
+    // Google account email (only set if no other user already has it)
+    const email = await getGoogleEmail(oauth2);
+    const emailTaken = email && email !== user.email
+      ? await prisma.user.findUnique({ where: { email } })
+      : null;
+
+    // Google omits refresh_token when it already gave us one: keep the stored one
+    await saveGoogleTokens(user.id, tokens, email && !emailTaken ? { email } : {});
+
+    const chatId = state.chat || chatIdFor(user);
+    if (chatId) await telegramSend(chatId, `✅ Google conectado${email ? `: ${email}` : ""}`);
 
     return res.send("✅ Google conectado. Ya puedes cerrar esta ventana.");
   } catch (err) {
@@ -321,30 +123,12 @@ app.get("/auth/google/callback", async (req, res) => {
 });
 
 /* -------------------------
-API: Calendar (list next 10)
+API: Calendar (list next 10; OPS_SECRET = owner, or a user's API token)
 ------------------------- */
-app.get("/api/calendar/list", async (req, res) => {
+app.get("/api/calendar/list", requireOpsAuth, async (req, res) => {
   try {
-    const { google, auth } = await getOwnerGoogleAuthOrThrow();
-    const calendar = google.calendar({ version: "v3", auth });
-
-    const now = new Date().toISOString();
-    const out = await calendar.events.list({
-      calendarId: "primary",
-      timeMin: now,
-      maxResults: 10,
-      singleEvents: true,
-      orderBy: "startTime",
-    });
-
-    const events = (out.data.items || []).map((e) => ({
-      id: e.id,
-      summary: e.summary,
-      start: e.start?.dateTime || e.start?.date,
-      end: e.end?.dateTime || e.end?.date,
-      location: e.location || null,
-      htmlLink: e.htmlLink || null,
-    }));
+    const user = req.user;
+    const events = await listUpcomingEvents(user);
 
     res.json({ ok: true, count: events.length, events });
   } catch (err) {
@@ -352,7 +136,7 @@ app.get("/api/calendar/list", async (req, res) => {
       return res.status(401).json({
         ok: false,
         error: "not_connected",
-        message: "Not connected to Google yet. Go to /auth/google",
+        message: "Not connected to Google yet. Send \"conectar\" to the Telegram bot",
       });
     }
     console.error("Calendar fetch failed:", err);
@@ -361,13 +145,48 @@ app.get("/api/calendar/list", async (req, res) => {
 });
 
 /* -------------------------
-API: Manual Sync (Gmail -> Tasks)
+API: Tasks, export / import (Bearer token, see api.js)
+------------------------- */
+app.use(["/api/v1/tasks", "/api/tasks"], tasksApi);
+app.use(["/api/v1", "/api"], transferApi);
+
+/* -------------------------
+CALENDAR FEED (due tasks as .ics; the signed link is the secret, see feed.js)
 ------------------------- */
-app.post("/sync", async (req, res) => {
+app.get("/feed/:file", async (req, res) => {
   try {
-    if (!owner?.id) owner = await ensureOwner();
-    const r = await syncGmailToTasks(owner.id);
-    res.json({ ok: true, ...r });
+    const user = await findFeedUser(req.params.file.replace(/\.ics$/i, ""));
+    if (!user) return res.status(404).send("Feed not found");
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "no-cache");
+    res.send(await buildFeed(user, { overdue: req.query.overdue !== "0" }));
+  } catch (e) {
+    console.error("Feed error:", e);
+    res.status(500).send("Feed error");
+  }
+});
+
+/* -------------------------
+WEB DASHBOARD (login via Telegram "web", see web.js)
+------------------------- */
+app.use("/app", webApp);
+
+/* -------------------------
+API: Manual Sync (Gmail -> Tasks; OPS_SECRET = every connected user as the
+"gmail-sync" job, API token = that user)
+------------------------- */
+app.post("/sync", requireOpsAuth, async (req, res) => {
+  try {
+    if (req.allUsers) {
+      const run = await runJob("gmail-sync");
+      if (run.skipped === "locked") return res.status(409).json({ ok: false, error: "already_running" });
+      return res.status(run.status === "FAILED" ? 500 : 200).json({ ok: run.status !== "FAILED", run });
+    }
+
+    const users = [req.user].filter((u) => u.refreshToken);
+    const results = await forEachUser(users, "Manual sync", (u) => syncGmailToTasks(u.id));
+    res.json({ ok: true, users: results.length, results });
   } catch (e) {
     console.error("Manual sync error:", e);
     res.status(500).json({ ok: false, error: "sync_failed" });
@@ -375,294 +194,60 @@ app.post("/sync", async (req, res) => {
 });
 
 /* -------------------------
-Telegram Webhook (Webhook-only)
+API: Jobs (last runs and errors; OPS_SECRET or an API token)
+------------------------- */
+app.get("/jobs", requireOpsAuth, async (req, res, next) => {
+  try {
+    const take = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const job = req.query.job ? String(req.query.job) : undefined;
+    const [jobs, runs] = await Promise.all([jobsOverview(), listJobRuns({ job, take })]);
+    res.json({ ok: true, jobs, runs });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* -------------------------
+Telegram Webhook
+Only Telegram knows TELEGRAM_WEBHOOK_SECRET (sent at setWebhook, see boot);
+without it configured every update is refused.
 ------------------------- */
 app.post("/telegram/webhook", async (req, res) => {
   try {
     const token = process.env.TELEGRAM_BOT_TOKEN;
     if (!token) return res.sendStatus(200);
 
-    const raw = req.body?.message?.text;
-    const chatId = req.body?.message?.chat?.id;
-
-    // Telegram expects fast 200
-    res.sendStatus(200);
-    if (!chatId) return;
-
-    const msg = (raw || "").trim();
-    const lower = msg.toLowerCase();
-
-    // /start
-    if (msg === "/start") {
-      await telegramSend(chatId, "Muëcy Ops conectado en Railway ✅");
-      await telegramSend(
-        chatId,
-        [
-          "Comandos:",
-          "• tarea: cortar fillers cocina",
-          "• top",
-          "• done: 1   (o done: texto)",
-          "• /calendar",
-          "",
-          "Evento:",
-          "• event: Visita Eddy / mañana 9pm / 60 / loc: Miami / addr: 123 Main St / desc: medir cocina / task: enviar estimate",
-          "• event: revisar Trello / 13:00 / 2026-03-03 / Miami",
-          "• event: panel / 2026-03-03-15:00 / Miami",
-        ].join("\n")
-      );
-      return;
-    }
-
-    // /calendar -> tu API interna
-    if (msg === "/calendar") {
-      const base = getBaseUrl(req);
-      const r = await fetch(`${base}/api/calendar/list`);
-      const data = await r.json().catch(() => ({}));
-
-      if (!r.ok && data?.error === "not_connected") {
-        await telegramSend(chatId, "⚠️ Google no está conectado. Abre: /auth/google");
-        return;
-      }
-
-      const lines = (data.events || []).map(
-        (e) => `• ${e.summary || "(sin título)"} — ${e.start || ""}`
-      );
-      await telegramSend(chatId, lines.join("\n") || "No hay eventos próximos.");
-      return;
-    }
-
-    // event: ...
-    if (lower.startsWith("event:") || lower.startsWith("/event")) {
-      try {
-        const rawEvent = msg.replace(/^\s*\/?event\s*:?\s*/i, "").trim();
-
-        const location = pickField(rawEvent, "loc");
-        const address = pickField(rawEvent, "addr");
-        const description = pickField(rawEvent, "desc");
-        const taskRaw = pickField(rawEvent, "task");
-
-        const cleaned = stripFields(rawEvent);
-        const parts = cleaned.split("/").map((s) => s.trim()).filter(Boolean);
-
-        if (!parts.length) throw new Error("Formato vacío. Ej: event: Título / mañana 9pm / 60");
-
-        const parsed = parseEventParts(parts);
-
-        if (!parsed.whenText) {
-          throw new Error('Falta fecha/hora. Ej: event: Visita / mañana 9pm / 60');
-        }
-
-        // Si pasaron solo fecha sin hora
-        if (isExplicitDate(parsed.whenText.trim())) {
-          throw new Error('Te faltó la hora. Ej: "2026-03-03 13:00" o "13:00 / 2026-03-03"');
-        }
-
-        const { tz, localISO } = parseWhenToNYLocal(parsed.whenText);
-        const endISO = addMinutesNY(localISO, Number.isFinite(parsed.minutes) ? parsed.minutes : 60);
-
-        const fallbackLoc = parsed.leftoverLocation;
-        const combinedLoc =
-          location && address ? `${location}\n${address}` : location || address || fallbackLoc || null;
-
-        const { google, auth } = await getOwnerGoogleAuthOrThrow();
-        const calendar = google.calendar({ version: "v3", auth });
-
-        const result = await calendar.events.insert({
-          calendarId: "primary",
-          requestBody: {
-            summary: parsed.title,
-            start: { dateTime: localISO, timeZone: tz },
-            end: { dateTime: endISO, timeZone: tz },
-
-            // ✅ Alarma 30 minutos antes
-            reminders: {
-              useDefault: false,
-              overrides: [{ method: "popup", minutes: 30 }],
-            },
-
-            ...(combinedLoc ? { location: combinedLoc } : {}),
-            ...(description ? { description } : {}),
-          },
-        });
-
-        let linkedTask = null;
-        if (taskRaw) {
-          if (!owner?.id) owner = await ensureOwner();
-          linkedTask = await prisma.task.create({
-            data: {
-              userId: owner.id,
-              title: taskRaw,
-              priority: 2,
-              status: "PENDING",
-              source: "calendar",
-            },
-          });
-        }
-
-        const calendarLink = result?.data?.htmlLink || "";
-        const prettyLink = calendarLink ? `🔗 Ver en Google Calendar\n${calendarLink}` : null;
-
-        const lines = [
-          "✅ Evento creado:",
-          parsed.title,
-          `🕒 ${prettyNY(localISO)} (NY)`,
-          combinedLoc ? `📍 ${combinedLoc}` : null,
-          description ? `📝 ${description}` : null,
-          "🔔 Recordatorio: 30 min antes",
-          prettyLink,
-          linkedTask ? `🔗 Tarea vinculada: ${linkedTask.title}` : null,
-        ].filter(Boolean);
-
-        await telegramSend(chatId, lines.join("\n"));
-      } catch (e) {
-        if (e?.code === "not_connected") {
-          await telegramSend(chatId, "⚠️ Google no está conectado. Abre: /auth/google");
-          return;
-        }
-        await telegramSend(chatId, `❌ No pude crear el evento. Detalle: ${e.message}`);
-      }
-      return;
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret || !safeEqual(req.get("X-Telegram-Bot-Api-Secret-Token"), secret)) {
+      return res.sendStatus(401);
     }
 
-    // tarea: ...
-    if (lower.startsWith("tarea:")) {
-      const title = msg.slice("tarea:".length).trim();
-
-      if (!title) {
-        await telegramSend(chatId, "⚠️ Escribe algo después de 'tarea:'");
-        return;
-      }
-
-      if (!owner?.id) owner = await ensureOwner();
-
-      await prisma.task.create({
-        data: {
-          title,
-          status: "PENDING",
-          priority: 2,
-          userId: owner.id,
-          source: "manual",
-        },
-      });
-
-      await telegramSend(chatId, `✅ Tarea creada: ${title}`);
-      return;
-    }
-
-    // top
-    if (lower === "top") {
-      if (!owner?.id) owner = await ensureOwner();
-
-      const tasks = await prisma.task.findMany({
-        where: {
-          userId: owner.id,
-          status: { in: ["PENDING", "DOING", "BLOCKED"] },
-        },
-        orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
-        take: 10,
-      });
-
-      if (!tasks.length) {
-        await telegramSend(chatId, "No hay tareas.");
-        return;
-      }
+    const message = req.body?.message;
+    const query = req.body?.callback_query;
+    const chatId = message?.chat?.id;
 
-      const out = [
-        "🔴 Top 10 tareas:",
-        ...tasks.map((t, i) => `${i + 1}) [P${t.priority}] ${t.title}`),
-        "",
-        "✅ Para completar: done: 1 (o done: texto)",
-      ].join("\n");
-
-      await telegramSend(chatId, out);
-      return;
-    }
-
-    // done: ...
-    if (lower.startsWith("done:")) {
-      if (!owner?.id) owner = await ensureOwner();
-
-      const payload = msg.slice("done:".length).trim();
-      if (!payload) {
-        await telegramSend(chatId, "⚠️ Usa: done: 1  (o done: texto)");
-        return;
-      }
+    // Telegram expects fast 200
+    res.sendStatus(200);
 
-      // done: número
-      const n = Number(payload);
-      if (Number.isFinite(n) && n > 0) {
-        const tasks = await prisma.task.findMany({
-          where: {
-            userId: owner.id,
-            status: { in: ["PENDING", "DOING", "BLOCKED"] },
-          },
-          orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
-          take: 10,
-        });
-
-        const picked = tasks[n - 1];
-        if (!picked) {
-          await telegramSend(chatId, `❌ No existe la tarea #${n} en el top actual.`);
-          return;
+    // Inline button press (top / hoy / reminders)
+    if (query) {
+      const qChatId = query.message?.chat?.id || query.from?.id;
+      await handleCallback(
+        { chatId: qChatId, fromId: query.from?.id, name: query.from?.first_name, data: query.data, message: query.message },
+        {
+          answer: (text) => telegramAnswerCallback(query.id, text),
+          edit: (text, extra) => telegramEdit(qChatId, query.message?.message_id, text, extra),
+          reply: (text, extra) => telegramSend(qChatId, text, extra),
         }
-
-        await prisma.task.update({
-          where: { id: picked.id },
-          data: { status: "DONE" },
-        });
-
-        await telegramSend(chatId, `✅ DONE: ${picked.title}`);
-        return;
-      }
-
-      // done: texto
-      const q = payload.toLowerCase();
-      const task = await prisma.task.findFirst({
-        where: {
-          userId: owner.id,
-          status: { in: ["PENDING", "DOING", "BLOCKED"] },
-          title: { contains: q, mode: "insensitive" },
-        },
-        orderBy: { createdAt: "asc" },
-      });
-
-      if (!task) {
-        await telegramSend(chatId, `❌ No encontré tarea que coincida con: "${payload}"`);
-        return;
-      }
-
-      await prisma.task.update({
-        where: { id: task.id },
-        data: { status: "DONE" },
-      });
-
-      await telegramSend(chatId, `✅ DONE: ${task.title}`);
+      );
       return;
     }
 
-    // hoy
-    if (lower === "hoy") {
-      await telegramSend(chatId, "✅ OK. (Luego conectamos 'hoy' con calendar + tareas)");
-      return;
-    }
+    if (!chatId) return;
 
-    // fallback help
-    await telegramSend(
-      chatId,
-      [
-        "Muëcy Ops 🤖",
-        "",
-        "Comandos:",
-        "• tarea: cortar fillers cocina",
-        "• top",
-        "• done: 1",
-        "• done: fillers",
-        "• /calendar",
-        "",
-        "Evento:",
-        "• event: Visita Eddy / mañana 9pm / 60 / loc: Miami / addr: 123 Main St / desc: medir cocina / task: enviar estimate",
-        "• event: revisar Trello / 13:00 / 2026-03-03 / Miami",
-      ].join("\n")
+    await handleMessage(
+      { chatId, fromId: message.from?.id, name: message.from?.first_name, text: message.text },
+      (text, extra) => telegramSend(chatId, text, extra)
     );
   } catch (e) {
     console.error("Telegram webhook error:", e);
@@ -670,48 +255,54 @@ app.post("/telegram/webhook", async (req, res) => {
 });
 
 /* =========================
-DAILY BRIEFING (07:40 NY)
+JOBS (node-cron ticks; runs, locks and retries in jobRunner.js)
 ========================= */
-cron.schedule(
-  "40 7 * * *",
-  async () => {
-    try {
-      if (!owner?.id) owner = await ensureOwner();
-
-      // 1) Sync Gmail -> Tasks
-      await syncGmailToTasks(owner.id);
-
-      // 2) Fetch top tasks
-      const tasks = await prisma.task.findMany({
-        where: {
-          userId: owner.id,
-          status: { in: ["PENDING", "DOING", "BLOCKED"] },
-        },
-        orderBy: [{ priority: "asc" }, { createdAt: "asc" }],
-        take: 10,
-      });
+defineJob("briefing", {
+  schedule: "* * * * *",
+  label: "briefing (cada usuario a su hora)",
+  hasWork: () => hasDueBriefings(),
+  run: () => runDueBriefings(),
+});
 
-      const lines = [
-        "🧠 MUËCY OPS — Briefing",
-        `📅 ${DateTime.now().setZone("America/New_York").toFormat("cccc, LLL d, yyyy")}`,
-        "",
-        "🔴 Top tareas:",
-        ...tasks.map((t, i) => `${i + 1}) [P${t.priority}] ${t.title}`),
-        "",
-        "Comandos: top | /calendar | tarea: ... | done: 1 | event: ...",
-      ].join("\n");
-
-      if (process.env.TELEGRAM_CHAT_ID) {
-        await telegramSend(process.env.TELEGRAM_CHAT_ID, lines);
-      } else {
-        console.log("ℹ️ Briefing listo (no TELEGRAM_CHAT_ID configurado).");
-      }
-    } catch (e) {
-      console.error("Briefing error:", e);
-    }
-  },
-  { timezone: "America/New_York" }
-);
+defineJob("recap", {
+  schedule: "* * * * *",
+  label: "resumen del día (cada usuario a su hora)",
+  hasWork: () => hasDueReports("recap"),
+  run: () => runDueReports("recap"),
+});
+
+defineJob("weekly-report", {
+  schedule: "* * * * *",
+  label: "reporte semanal (cada usuario su día y hora)",
+  hasWork: () => hasDueReports("weekly"),
+  run: () => runDueReports("weekly"),
+});
+
+defineJob("reminders", {
+  schedule: "*/5 * * * *",
+  label: "recordatorios (cada 5 min)",
+  hasWork: async () => (await listNotifiableUsers()).length > 0,
+  run: async () => forEachUser(await listNotifiableUsers(), "Reminders", (u) => sendDueReminders(u)),
+});
+
+// Follow moves / cancellations made directly in Google Calendar
+defineJob("event-links", {
+  schedule: "*/15 * * * *",
+  label: "eventos ↔ tareas (cada 15 min)",
+  hasWork: async () => (await listConnectedUsers()).length > 0,
+  run: async () => forEachUser(await listConnectedUsers(), "Event links", (u) => syncEventLinks(u)),
+});
+
+defineJob("cleanup", {
+  schedule: "17 3 * * *",
+  label: "limpieza del historial de jobs (diaria)",
+  run: () => cleanupJobRuns(),
+});
+
+defineJob("gmail-sync", {
+  label: "Gmail → tareas (POST /sync; el briefing también sincroniza)",
+  run: async () => forEachUser(await listConnectedUsers(), "Manual sync", (u) => syncGmailToTasks(u.id)),
+});
 
 /* =========================
 ERROR HANDLERS
@@ -722,15 +313,36 @@ process.on("uncaughtException", (err) => console.error("UncaughtException:", err
 /* =========================
 START SERVER
 ========================= */
+
+// Registers the webhook with its secret when we know our public URL
+async function registerWebhook() {
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret) {
+    console.warn("⚠️ Missing TELEGRAM_WEBHOOK_SECRET: /telegram/webhook refuses every update");
+    return;
+  }
+  if (!process.env.APP_BASE_URL || !process.env.TELEGRAM_BOT_TOKEN) return;
+
+  const r = await telegramSetWebhook(`${process.env.APP_BASE_URL}/telegram/webhook`, secret);
+  console.log(r.ok ? "✅ Telegram webhook registered" : `⚠️ setWebhook failed: ${JSON.stringify(r.data)}`);
+}
 const port = Number(process.env.PORT || 8080);
 
 boot()
   .then(() => {
     app.listen(port, "0.0.0.0", () => {
       console.log(`Muëcy Ops running on port ${port}`);
+      scheduleJobs(cron);
       const base = process.env.APP_BASE_URL || `(set APP_BASE_URL)`;
-      console.log(`Connect Google: ${base}/auth/google`);
-      console.log(`Telegram webhook: ${base}/telegram/webhook`);
+      console.log(`Connect Google: send "conectar" to the Telegram bot (link to ${base}/auth/google?s=...)`);
+
+      if (process.env.TELEGRAM_MODE === "polling") {
+        startBot();
+        console.log("Telegram: long polling");
+      } else {
+        console.log(`Telegram webhook: ${base}/telegram/webhook`);
+        registerWebhook().catch((e) => console.error("setWebhook error:", e));
+      }
     });
   })
   .catch((e) => {
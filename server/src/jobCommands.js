@@ -0,0 +1,39 @@
+// Muëcy Ops — Job status command (jobs); admins only
+import { DateTime } from "luxon";
+import { exact } from "./parse.js";
+import { userPrefs } from "./users.js";
+import { jobsOverview } from "./jobRunner.js";
+import { adminCommand } from "./accessCommands.js";
+
+const STATUS_ICONS = { OK: "✅", FAILED: "❌", RUNNING: "⏳" };
+
+export const jobCommands = [
+  adminCommand({
+    name: "jobs",
+    section: "Sistema",
+    help: ["jobs   (últimas ejecuciones y errores)"],
+    parse: exact("jobs", "/jobs"),
+    async run(ctx) {
+      const { zone, locale } = userPrefs(ctx.user);
+      const when = (d) => DateTime.fromJSDate(d).setZone(zone).setLocale(locale).toFormat("d LLL HH:mm");
+
+      const lines = ["⚙️ Jobs:"];
+      const errors = [];
+
+      for (const j of await jobsOverview()) {
+        const r = j.last;
+        const state = r
+          ? `${STATUS_ICONS[r.status] || ""} ${when(r.startedAt)}`
+            + (r.durationMs != null ? ` · ${(r.durationMs / 1000).toFixed(1)} s` : "")
+            + (r.attempts > 1 ? ` · ${r.attempts} intentos` : "")
+          : "sin ejecuciones";
+        lines.push(`• ${j.label}: ${state}`);
+
+        if (j.lastFailure) errors.push(`• ${j.name} ${when(j.lastFailure.startedAt)} — ${j.lastFailure.error || "error"}`);
+      }
+
+      if (errors.length) lines.push("", "Últimos errores:", ...errors);
+      await ctx.reply(lines.join("\n"));
+    },
+  }),
+];
@@ -0,0 +1,209 @@
+// Muëcy Ops — Scheduled jobs with run history
+//
+// Every run of a job (briefing, reminders, ...) is recorded in JobRun with
+// its result or error. A lease row in JobLock (renewed while the run lasts,
+// no connection held) makes sure only one instance runs a given job at a
+// time; the others skip that tick. A failed attempt is retried with
+// exponential backoff (JOB_RETRIES, default 2) before the run is FAILED.
+//
+// A job may define hasWork(): when it says there is nothing to do the tick
+// is skipped before any JobRun is written (the every-minute briefing would
+// otherwise flood the history).
+//
+// A job returns:
+//   - an array of per-user results ({ userId, ok, error? }, see forEachUser):
+//     any ok:false fails the attempt, so it is retried
+//   - anything else: stored as the run's result
+import crypto from "node:crypto";
+import { prisma } from "./db.js";
+import { isInvalidGrant, markGoogleRevoked } from "./googleTokens.js";
+
+const KEEP_DAYS = 14;
+const BACKOFF_MS = 5000;
+// A run still RUNNING after this long died with its instance
+const STALE_MINUTES = 15;
+// A lease not renewed for this long belongs to a dead instance
+const LEASE_MS = 5 * 60 * 1000;
+
+const jobs = new Map();
+
+function retries() {
+  const n = Number(process.env.JOB_RETRIES ?? 2);
+  return Number.isInteger(n) && n >= 0 ? n : 2;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Registers a job. schedule: node-cron expression, or null for jobs that
+ * only run on demand (POST /sync). label: shown in "jobs". hasWork: optional
+ * async check, false = skip this tick without a JobRun.
+ */
+export function defineJob(name, { schedule = null, label = name, hasWork = null, run }) {
+  jobs.set(name, { name, schedule, label, hasWork, run });
+}
+
+export function listJobs() {
+  return [...jobs.values()];
+}
+
+// Run fn for each user, logging (not throwing) per-user failures
+export async function forEachUser(users, label, fn) {
+  const results = [];
+  for (const user of users) {
+    try {
+      results.push({ userId: user.id, ok: true, ...(await fn(user)) });
+    } catch (e) {
+      console.error(`${label} error (${user.id}):`, e);
+      if (isInvalidGrant(e)) await markGoogleRevoked(user).catch(() => {});
+      results.push({ userId: user.id, ok: false, error: e.message });
+    }
+  }
+  return results;
+}
+
+// Throws when a per-user result failed, so the attempt is retried
+function checkResult(result) {
+  if (!Array.isArray(result)) return;
+  const failed = result.filter((r) => r && r.ok === false);
+  if (failed.length) {
+    throw new Error(`${failed.length}/${result.length} fallaron: ${failed.map((r) => `${r.userId}: ${r.error}`).join("; ")}`);
+  }
+}
+
+async function attemptAll(job, run) {
+  const max = retries() + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await job.run();
+      checkResult(result);
+      return { status: "OK", attempts: attempt, result };
+    } catch (e) {
+      console.error(`Job ${job.name} attempt ${attempt}/${max} failed:`, e);
+      if (attempt >= max) return { status: "FAILED", attempts: attempt, error: e.message };
+
+      await prisma.jobRun.update({ where: { id: run.id }, data: { attempts: attempt + 1, error: e.message } });
+      await sleep(BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+}
+
+/* =========================
+LEASE (JobLock)
+========================= */
+
+// Creates the job's lease, or takes it over when it expired; false = held by another run
+async function acquireLease(name, holder) {
+  const lockedUntil = new Date(Date.now() + LEASE_MS);
+  try {
+    await prisma.jobLock.create({ data: { job: name, holder, lockedUntil } });
+    return true;
+  } catch (e) {
+    if (e?.code !== "P2002") throw e;
+  }
+
+  const taken = await prisma.jobLock.updateMany({
+    where: { job: name, lockedUntil: { lt: new Date() } },
+    data: { holder, lockedUntil },
+  });
+  return taken.count === 1;
+}
+
+function renewLease(name, holder) {
+  return prisma.jobLock.updateMany({
+    where: { job: name, holder },
+    data: { lockedUntil: new Date(Date.now() + LEASE_MS) },
+  });
+}
+
+function releaseLease(name, holder) {
+  return prisma.jobLock.deleteMany({ where: { job: name, holder } });
+}
+
+/**
+ * Runs a job now, if no other instance is running it. Returns the JobRun,
+ * { skipped: "locked" } or { skipped: "idle" }.
+ */
+export async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+
+  const holder = crypto.randomUUID();
+  if (!(await acquireLease(name, holder))) return { skipped: "locked" };
+
+  const renewal = setInterval(() => {
+    renewLease(name, holder).catch((e) => console.error(`Job ${name} lease renewal error:`, e));
+  }, LEASE_MS / 3);
+
+  try {
+    if (job.hasWork && !(await job.hasWork())) return { skipped: "idle" };
+
+    const startedAt = new Date();
+    const run = await prisma.jobRun.create({ data: { job: name, status: "RUNNING", startedAt } });
+    const outcome = await attemptAll(job, run);
+
+    const finishedAt = new Date();
+    return await prisma.jobRun.update({
+      where: { id: run.id },
+      data: {
+        status: outcome.status,
+        attempts: outcome.attempts,
+        result: outcome.result ?? undefined,
+        error: outcome.error ?? null,
+        finishedAt,
+        durationMs: finishedAt - startedAt,
+      },
+    });
+  } finally {
+    clearInterval(renewal);
+    // Not released (DB down): it expires after LEASE_MS
+    await releaseLease(name, holder).catch((e) => console.error(`Job ${name} lease release error:`, e));
+  }
+}
+
+// node-cron hook: errors of the runner itself (DB down) only get logged
+export function scheduleJobs(cron) {
+  for (const job of jobs.values()) {
+    if (!job.schedule) continue;
+    cron.schedule(job.schedule, () => {
+      runJob(job.name).catch((e) => console.error(`Job ${job.name} runner error:`, e));
+    });
+  }
+}
+
+/**
+ * Boot step: runs left RUNNING by a dead instance become FAILED, and
+ * history older than 14 days is dropped.
+ */
+export async function cleanupJobRuns(now = new Date()) {
+  const stale = await prisma.jobRun.updateMany({
+    where: { status: "RUNNING", startedAt: { lt: new Date(now - STALE_MINUTES * 60 * 1000) } },
+    data: { status: "FAILED", error: "interrumpido (el proceso se reinició)", finishedAt: now },
+  });
+  const old = await prisma.jobRun.deleteMany({
+    where: { startedAt: { lt: new Date(now - KEEP_DAYS * 24 * 3600 * 1000) } },
+  });
+  return { stale: stale.count, deleted: old.count };
+}
+
+export function listJobRuns({ job, status, take = 20 } = {}) {
+  return prisma.jobRun.findMany({
+    where: { ...(job && { job }), ...(status && { status }) },
+    orderBy: { startedAt: "desc" },
+    take,
+  });
+}
+
+/**
+ * Per job: its last run and its last failure (for /jobs and "jobs").
+ */
+export async function jobsOverview() {
+  return Promise.all(
+    listJobs().map(async (job) => {
+      const [last] = await listJobRuns({ job: job.name, take: 1 });
+      const [lastFailure] = await listJobRuns({ job: job.name, status: "FAILED", take: 1 });
+      return { name: job.name, label: job.label, schedule: job.schedule, last: last || null, lastFailure: lastFailure || null };
+    })
+  );
+}
@@ -1,60 +1,314 @@
-import { google } from "googleapis";
 import { prisma } from "./db.js";
-import { getOAuthClient } from "./google.js";
-import { classifyEmail } from "./emailRules.js";
+import { googleAuthForUser } from "./googleTokens.js";
+import { applyEmailRules } from "./emailRules.js";
+import { changeTaskStatus } from "./tasks.js";
+
+// Full scan window when there is no usable historyId (first run / expired)
+const FULL_SCAN_QUERY = "newer_than:7d";
+const FULL_SCAN_MAX = Number(process.env.GMAIL_FULL_SCAN_MAX || 500);
+// Threads kept for the next run after a transient error (see isTransient)
+const RETRY_MAX = 500;
 
 async function gmailClientForUser(user) {
-  const auth = getOAuthClient();
-  auth.setCredentials({
-    access_token: user.accessToken,
-    refresh_token: user.refreshToken
-  });
+  const { google, auth } = await googleAuthForUser(user);
   return google.gmail({ version: "v1", auth });
 }
 
-export async function syncGmailToTasks(userId) {
-  const user = await prisma.user.findUnique({ where: { id: userId } });
-  if (!user?.refreshToken) return { synced: 0, note: "User not connected to Google yet" };
+function isNotFound(err) {
+  const status = err?.code || err?.response?.status;
+  return Number(status) === 404;
+}
 
-  const gmail = await gmailClientForUser(user);
+// history.list answers 404 when the stored historyId is too old
+const isHistoryExpired = isNotFound;
+
+// Worth retrying later: rate limits (429, or 403 with a rate-limit reason),
+// Google's 5xx and network errors (no HTTP status at all)
+function isTransient(err) {
+  const status = Number(err?.code || err?.response?.status);
+  if (!status) return true;
+  const reason = err?.errors?.[0]?.reason || "";
+  return status === 429 || status >= 500 || /rateLimitExceeded/.test(reason);
+}
+
+// Thread IDs with messages added since startHistoryId, following every page
+async function listChangedThreadIds(gmail, startHistoryId) {
+  const ids = new Set();
+  let pageToken;
+  let historyId = startHistoryId;
+
+  do {
+    const res = await gmail.users.history.list({
+      userId: "me",
+      startHistoryId,
+      historyTypes: ["messageAdded"],
+      maxResults: 500,
+      pageToken
+    });
+
+    for (const h of res.data.history || []) {
+      for (const added of h.messagesAdded || []) {
+        const labels = added.message?.labelIds || [];
+        if (labels.includes("DRAFT")) continue;
+        if (added.message?.threadId) ids.add(added.message.threadId);
+      }
+    }
+
+    if (res.data.historyId) historyId = res.data.historyId;
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+
+  return { ids: [...ids], historyId };
+}
+
+// Bounded scan of recent mail (thread IDs), paging until FULL_SCAN_MAX messages
+async function listRecentThreadIds(gmail) {
+  // historyId taken BEFORE listing so nothing that arrives mid-scan is lost
+  const profile = await gmail.users.getProfile({ userId: "me" });
+  const ids = new Set();
+  let scanned = 0;
+  let pageToken;
+
+  do {
+    const res = await gmail.users.messages.list({
+      userId: "me",
+      q: FULL_SCAN_QUERY,
+      maxResults: Math.min(500, FULL_SCAN_MAX - scanned),
+      pageToken
+    });
+
+    for (const m of res.data.messages || []) {
+      scanned++;
+      if (m.threadId) ids.add(m.threadId);
+    }
+    pageToken = res.data.nextPageToken;
+  } while (pageToken && scanned < FULL_SCAN_MAX);
 
-  // Read everything RECENT to avoid importing years of history
-  const list = await gmail.users.messages.list({
+  return { ids: [...ids], historyId: profile.data.historyId };
+}
+
+function header(message, name) {
+  const headers = message?.payload?.headers || [];
+  return headers.find(h => h.name?.toLowerCase() === name)?.value || "";
+}
+
+function isFromUs(message) {
+  return (message?.labelIds || []).includes("SENT");
+}
+
+// Whether message came in after the task was last closed; a full scan re-reads
+// recent threads, and a task closed by hand with no new mail must stay closed
+async function arrivedAfterClose(task, message) {
+  const closed = await prisma.taskHistory.findFirst({
+    where: { taskId: task.id, toStatus: "DONE" },
+    orderBy: { createdAt: "desc" }
+  });
+  const closedAt = closed?.createdAt || task.updatedAt;
+  return Number(message.internalDate) > closedAt.getTime();
+}
+
+/**
+ * One task per Gmail thread (externalId = threadId):
+ * - latest message sent by us   -> task DONE
+ * - client writes again          -> task reopened (PENDING), only for mail
+ *                                   that arrived after the task was closed
+ * Returns "created" | "closed" | "reopened" | "updated" | null
+ */
+async function syncThreadTask(gmail, userId, threadId, rules) {
+  const thread = await gmail.users.threads.get({
     userId: "me",
-    q: "newer_than:7d",
-    maxResults: 50
+    id: threadId,
+    format: "metadata",
+    metadataHeaders: ["Subject", "From"]
   });
 
-  const messages = list.data.messages || [];
-  let created = 0;
+  const messages = (thread.data.messages || []).filter(m => !(m.labelIds || []).includes("DRAFT"));
+  if (!messages.length) return null;
 
-  for (const m of messages) {
-    // thanks to @@unique([userId, source, externalId]) we can just try create
-    const full = await gmail.users.messages.get({ userId: "me", id: m.id, format: "metadata" });
-    const headers = full.data.payload?.headers || [];
+  const latest = messages[messages.length - 1];
+  const lastInbound = [...messages].reverse().find(m => !isFromUs(m));
+  const repliedByUs = isFromUs(latest);
 
-    const subject = headers.find(h => h.name?.toLowerCase() === "subject")?.value || "(sin asunto)";
-    const from = headers.find(h => h.name?.toLowerCase() === "from")?.value || "(sin remitente)";
+  const subject = header(messages[0], "subject") || "(sin asunto)";
+  const from = header(lastInbound, "from") || "(sin remitente)";
 
-    const classification = classifyEmail({ subject, from, snippet: full.data.snippet || "" });
-    if (!classification.createTask) continue;
+  const existing = await prisma.task.findUnique({
+    where: { userId_source_externalId: { userId, source: "gmail", externalId: threadId } }
+  });
+
+  if (!existing) {
+    // Threads we started and nobody answered yet are not tasks
+    if (!lastInbound || repliedByUs) return null;
+
+    const classification = applyEmailRules(rules, { subject, from, snippet: lastInbound.snippet || "" });
+    if (!classification.createTask) return null;
+
+    const dueAt = classification.dueOffsetHours != null
+      ? new Date(Date.now() + classification.dueOffsetHours * 3600 * 1000)
+      : null;
 
     try {
       await prisma.task.create({
         data: {
           userId,
           title: `Responder / Gestionar: ${subject}`,
-          description: `From: ${from}`,
+          description: `From: ${from}\nMensajes: ${messages.length}`,
           source: "gmail",
-          externalId: m.id,
-          priority: classification.priority
+          externalId: threadId,
+          priority: classification.priority,
+          tags: classification.tags,
+          ruleId: classification.ruleId,
+          classifyReason: classification.reason,
+          dueAt
         }
       });
-      created++;
+      return "created";
     } catch (e) {
-      // duplicate, ignore
+      // duplicate (concurrent sync), ignore
+      if (e?.code !== "P2002") console.error("Gmail task create error:", e);
+      return null;
     }
   }
 
-  return { synced: created };
+  await prisma.task.update({
+    where: { id: existing.id },
+    data: { description: `From: ${from}\nMensajes: ${messages.length}` }
+  });
+
+  const actor = { label: "gmail" };
+  if (repliedByUs && existing.status !== "DONE") {
+    await changeTaskStatus(existing, "DONE", { actor });
+    return "closed";
+  }
+  if (!repliedByUs && existing.status === "DONE" && (await arrivedAfterClose(existing, latest))) {
+    await changeTaskStatus(existing, "PENDING", { actor });
+    return "reopened";
+  }
+  return "updated";
+}
+
+/**
+ * One-off per user: tasks created when each Gmail message was its own task
+ * (externalId = message id) are moved to their thread (externalId = threadId)
+ * so later syncs update them; extra open tasks of the same thread are closed
+ * as duplicates. Messages Gmail no longer has are left alone.
+ */
+async function migrateMessageTasks(gmail, userId) {
+  const open = await prisma.task.findMany({
+    where: { userId, source: "gmail", status: { not: "DONE" }, externalId: { not: null } },
+    orderBy: { createdAt: "asc" }
+  });
+
+  const byThread = new Map();
+  for (const task of open) {
+    let threadId;
+    try {
+      const msg = await gmail.users.messages.get({ userId: "me", id: task.externalId, format: "minimal" });
+      threadId = msg.data.threadId;
+    } catch (e) {
+      if (isNotFound(e)) continue;
+      throw e;
+    }
+    // First message of a thread: its id is the thread id, nothing to move
+    if (!threadId || threadId === task.externalId) continue;
+    if (!byThread.has(threadId)) byThread.set(threadId, []);
+    byThread.get(threadId).push(task);
+  }
+
+  const actor = { label: "gmail" };
+  let moved = 0;
+  let closed = 0;
+  for (const [threadId, tasks] of byThread) {
+    const current = await prisma.task.findUnique({
+      where: { userId_source_externalId: { userId, source: "gmail", externalId: threadId } }
+    });
+    const extra = current ? tasks : tasks.slice(1);
+
+    if (!current) {
+      await prisma.task.update({ where: { id: tasks[0].id }, data: { externalId: threadId } });
+      moved++;
+    }
+    for (const task of extra) {
+      await changeTaskStatus(task, "DONE", { actor, reason: "duplicada del mismo hilo de Gmail" });
+      closed++;
+    }
+  }
+
+  await prisma.user.update({ where: { id: userId }, data: { gmailThreadsMigrated: true } });
+  return { moved, closed };
+}
+
+/**
+ * Incremental sync: uses the stored mailbox historyId to only read what
+ * changed since the last run. Falls back to a bounded full scan on the
+ * first run or when Gmail says the historyId expired (404).
+ */
+export async function syncGmailToTasks(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user?.refreshToken) return { synced: 0, note: "User not connected to Google yet" };
+
+  const gmail = await gmailClientForUser(user);
+  const migrated = user.gmailThreadsMigrated ? null : await migrateMessageTasks(gmail, userId);
+
+  let mode = "history";
+  let changes = null;
+
+  if (user.gmailHistoryId) {
+    try {
+      changes = await listChangedThreadIds(gmail, user.gmailHistoryId);
+    } catch (e) {
+      if (!isHistoryExpired(e)) throw e;
+    }
+  }
+
+  if (!changes) {
+    mode = "full";
+    changes = await listRecentThreadIds(gmail);
+  }
+
+  const rules = await prisma.emailRule.findMany({
+    where: { userId },
+    orderBy: { position: "asc" }
+  });
+
+  // This run's threads plus the ones a transient error left for later
+  const threadIds = [...new Set([...changes.ids, ...(user.gmailRetryThreadIds || [])])];
+  const counts = { created: 0, updated: 0, closed: 0, reopened: 0, gone: 0 };
+  const errors = [];
+  const retry = [];
+  for (const threadId of threadIds) {
+    try {
+      const r = await syncThreadTask(gmail, userId, threadId, rules);
+      if (r) counts[r]++;
+    } catch (e) {
+      // Deleted / moved since history.list: nothing left to track
+      if (isNotFound(e)) {
+        counts.gone++;
+        continue;
+      }
+      // One bad thread must not stop the cursor: transient errors are kept
+      // for the next run, permanent ones are only logged
+      console.error(`Gmail thread ${threadId} sync error (${userId}):`, e);
+      const transient = isTransient(e);
+      if (transient) retry.push(threadId);
+      errors.push({ threadId, error: e.message, retry: transient });
+    }
+  }
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      gmailHistoryId: changes.historyId ? String(changes.historyId) : null,
+      gmailRetryThreadIds: retry.slice(0, RETRY_MAX)
+    }
+  });
+
+  return {
+    synced: counts.created,
+    threads: threadIds.length,
+    ...counts,
+    mode,
+    ...(errors.length && { errors }),
+    ...(migrated && { migrated })
+  };
 }
@@ -4,27 +4,37 @@
 //  hoy
 //  top
 //  done: fillers
+import { parseWhen } from "./when.js";
 
-export function parseCommand(text) {
-  const t = (text || "").trim();
-  const low = t.toLowerCase();
+/* =========================
+COMMAND MATCHERS
+========================= */
 
-  if (low === "hoy") return { type: "today" };
-  if (low === "top") return { type: "top" };
-
-  if (low.startsWith("done:")) {
-    return { type: "done", payload: t.slice(5).trim() };
-  }
+// Comando con payload: "tarea: ..." o "/tarea ..."
+export function prefix(...names) {
+  const alts = names.map(escapeRe).join("|");
+  const re = new RegExp(`^\\/?(?:${alts})(?:\\s*:|\\s+|$)\\s*([\\s\\S]*)$`, "i");
+  return (text) => {
+    const m = (text || "").trim().match(re);
+    return m ? { payload: m[1].trim() } : null;
+  };
+}
 
-  if (low.startsWith("tarea:")) {
-    return { type: "task", payload: t.slice(6).trim() };
-  }
+// Comando sin payload: "top", "/top"
+export function exact(...names) {
+  const set = new Set(names.map((n) => n.toLowerCase()));
+  return (text) => {
+    const t = (text || "").trim().toLowerCase().replace(/@\w+$/, "");
+    return set.has(t) || set.has(t.replace(/^\//, "")) ? {} : null;
+  };
+}
 
-  if (low.startsWith("agenda:")) {
-    return { type: "event", payload: t.slice(7).trim() };
-  }
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
-  return { type: "help" };
+export function splitParts(payload) {
+  return (payload || "").split("/").map((s) => s.trim()).filter(Boolean);
 }
 
 export function normalizePriority(s) {
@@ -33,3 +43,99 @@ export function normalizePriority(s) {
   if (low.includes("low") || low.includes("baja") || low.includes("p3")) return 3;
   return 2;
 }
+
+export function isPriorityToken(s) {
+  return /^(high|alta|p1|medium|media|normal|p2|low|baja|p3)$/i.test((s || "").trim());
+}
+
+/* =========================
+EVENT FIELDS
+========================= */
+
+export function pickField(str, key) {
+  // key: loc | addr | desc | invite | task
+  // acepta: "loc: Miami" hasta antes del próximo "/"
+  const re = new RegExp(`\\b${key}\\s*:\\s*([^/]+)`, "i");
+  const m = str.match(re);
+  return m ? m[1].trim() : "";
+}
+
+export function stripFields(str) {
+  return str
+    .replace(/\bloc\s*:\s*[^/]+/gi, "")
+    .replace(/\baddr\s*:\s*[^/]+/gi, "")
+    .replace(/\bdesc\s*:\s*[^/]+/gi, "")
+    .replace(/\binvite\s*:\s*[^/]+/gi, "")
+    .replace(/\btask\s*:\s*[^/]+/gi, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function parseInviteList(v) {
+  if (!v) return [];
+  return v
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((email) => ({ email }));
+}
+
+export function isMinutes(s) {
+  return /^\d{1,4}$/.test((s || "").trim());
+}
+
+/**
+ * Parser de partes para eventos:
+ * Soporta:
+ * - title / mañana 9pm / 60
+ * - title / 2026-03-03 13:00 / 60
+ * - title / 13:00 / 2026-03-03 / Miami
+ * - title / 2026-03-03 / 13:00 / 60 / Miami
+ * - title / 2026-03-03-15:00 / Miami
+ * - title / viernes 3-5pm / Doral
+ * Devuelve { title, whenText, minutes, leftoverLocation }; whenText va a parseWhen().
+ */
+export function parseEventParts(parts, opts = {}) {
+  const all = parts.map((x) => (x || "").trim()).filter(Boolean);
+
+  const whenTokens = [];
+  let minutes = 60;
+  let leftoverLocation = "";
+
+  const isWhen = (s) => {
+    try {
+      return Boolean(parseWhen(s, opts));
+    } catch {
+      // "25:00" es una hora (inválida): que parseWhen lo reporte después
+      return true;
+    }
+  };
+
+  const title = all[0] || "Evento Muëcy Ops";
+  const rest = all.slice(1);
+
+  for (const token of rest) {
+    if (isMinutes(token)) {
+      const n = parseInt(token, 10);
+      if (Number.isFinite(n) && n >= 1 && n <= 1440) {
+        minutes = n;
+        continue;
+      }
+    }
+
+    if (isWhen(token)) {
+      whenTokens.push(token);
+      continue;
+    }
+
+    if (!leftoverLocation) leftoverLocation = token;
+  }
+
+  // por si el título trae fecha/hora pegada ("panel 2026-03-03 15:00")
+  if (!whenTokens.length) {
+    const glued = title.match(/\d{4}-\d{2}-\d{2}(?:[ T-]\d{1,2}:\d{2}\s*(?:am|pm)?)?/i);
+    if (glued) whenTokens.push(glued[0]);
+  }
+
+  return { title, whenText: whenTokens.join(" "), minutes, leftoverLocation };
+}
@@ -0,0 +1,176 @@
+// Muëcy Ops — Recurrence rules for repeating tasks
+//
+//   cada lunes, todos los viernes 9am, every monday
+//   cada día, diario, cada 3 días, every day
+//   cada semana, semanal, cada 2 semanas, every 2 weeks
+//   cada mes, mensual, el día 1 de cada mes, every month on the 15th
+//
+// A rule is plain JSON (stored in TaskSeries.rule):
+//   { freq: "daily" | "weekly" | "monthly", interval, weekday?, monthDay?, hour?, minute? }
+// Occurrences are computed with Luxon in the user's zone; without a time the
+// task is due at the end of that day (same as tarea: ... / viernes).
+import { DateTime } from "luxon";
+import { WEEKDAYS, normalize, extractTime } from "./when.js";
+
+const FREQ_UNITS = {
+  dia: "daily", dias: "daily", day: "daily", days: "daily",
+  semana: "weekly", semanas: "weekly", week: "weekly", weeks: "weekly",
+  mes: "monthly", meses: "monthly", month: "monthly", months: "monthly",
+};
+
+const ADJECTIVES = {
+  diario: "daily", diaria: "daily", daily: "daily",
+  semanal: "weekly", weekly: "weekly",
+  mensual: "monthly", monthly: "monthly",
+};
+
+const DAY_NAMES = ["", "lunes", "martes", "miércoles", "jueves", "viernes", "sábado", "domingo"];
+
+// Leftover text must be a time ("9am", "a las 15:00") or nothing
+function withTime(rule, rest) {
+  const text = normalize(rest);
+  if (!text) return rule;
+
+  let time;
+  try {
+    time = extractTime(text);
+  } catch {
+    return null;
+  }
+  if (!time || normalize(time.rest.replace(/\b(a las|a la|at)\b/g, " "))) return null;
+  return { ...rule, hour: time.start.hour, minute: time.start.minute };
+}
+
+/**
+ * "cada lunes 9am" -> { freq: "weekly", interval: 1, weekday: 1, hour: 9, minute: 0 }
+ * Returns null when the text is not a recurrence.
+ */
+export function parseRecurrence(text) {
+  const w = normalize(text);
+  if (!w) return null;
+
+  // "cada lunes", "todos los sábados", "every monday(s)"
+  const weekday = w.match(/^(?:cada|todos los|todas las|every)\s+(\w+)(?:\s+(.*))?$/);
+  const wd = weekday && (WEEKDAYS[weekday[1]] || WEEKDAYS[weekday[1].replace(/s$/, "")]);
+  if (wd) return withTime({ freq: "weekly", interval: 1, weekday: wd }, weekday[2]);
+
+  const monthDay =
+    w.match(/^(?:el )?dia (\d{1,2}) de cada mes(?:\s+(.*))?$/) ||
+    w.match(/^every month on the (\d{1,2})(?:st|nd|rd|th)?(?:\s+(.*))?$/) ||
+    w.match(/^(?:on )?the (\d{1,2})(?:st|nd|rd|th)? of (?:every|each) month(?:\s+(.*))?$/);
+  if (monthDay) {
+    const day = Number(monthDay[1]);
+    if (day < 1 || day > 31) return null;
+    return withTime({ freq: "monthly", interval: 1, monthDay: day }, monthDay[2]);
+  }
+
+  const every = w.match(/^(?:cada|every)\s+(?:(\d{1,3})\s+)?(\w+)(?:\s+(.*))?$/);
+  if (every && FREQ_UNITS[every[2]]) {
+    const interval = Number(every[1] || 1);
+    if (interval < 1) return null;
+    return withTime({ freq: FREQ_UNITS[every[2]], interval }, every[3]);
+  }
+
+  const adjective = w.match(/^(\w+)(?:\s+(.*))?$/);
+  if (adjective && ADJECTIVES[adjective[1]]) {
+    return withTime({ freq: ADJECTIVES[adjective[1]], interval: 1 }, adjective[2]);
+  }
+
+  return null;
+}
+
+/**
+ * Fills in what the phrase left open ("cada 2 semanas" -> which weekday,
+ * "mensual" -> which day of the month) from the first due date.
+ */
+export function anchorRule(rule, first) {
+  if (rule.freq === "weekly" && !rule.weekday) return { ...rule, weekday: first.weekday };
+  if (rule.freq === "monthly" && !rule.monthDay) return { ...rule, monthDay: first.day };
+  return rule;
+}
+
+/* =========================
+OCCURRENCES
+========================= */
+
+// The due moment of an occurrence on `day`
+function dueOn(day, rule) {
+  return rule.hour != null
+    ? day.set({ hour: rule.hour, minute: rule.minute || 0, second: 0, millisecond: 0 })
+    : day.endOf("day");
+}
+
+// Day-of-month clamped to the month's length (31 -> 30 Apr, 28/29 Feb)
+function onMonthDay(day, monthDay) {
+  return day.set({ day: Math.min(monthDay, day.daysInMonth) });
+}
+
+function step(day, rule) {
+  const n = rule.interval || 1;
+  if (rule.freq === "daily") return day.plus({ days: n });
+  if (rule.freq === "weekly") return day.plus({ weeks: n });
+  return onMonthDay(day.startOf("month").plus({ months: n }), rule.monthDay);
+}
+
+/**
+ * First due date on or after `now` (Luxon DateTime in the user's zone).
+ */
+export function firstOccurrence(rule, now) {
+  const today = now.startOf("day");
+  let day = today;
+
+  if (rule.freq === "weekly" && rule.weekday) {
+    day = today.plus({ days: (rule.weekday - today.weekday + 7) % 7 });
+  } else if (rule.freq === "monthly" && rule.monthDay) {
+    day = onMonthDay(today, rule.monthDay);
+    if (day < today) day = onMonthDay(today.startOf("month").plus({ months: 1 }), rule.monthDay);
+  }
+
+  // Today's time already passed -> next one (weekly/monthly: the one after)
+  if (dueOn(day, rule) < now) day = step(day, rule);
+  return dueOn(day, rule);
+}
+
+/**
+ * Due date after `previous` (JS Date, the completed occurrence). Skips
+ * occurrences already in the past, so a late "done" never creates overdue tasks.
+ */
+export function nextOccurrence(rule, previous, { zone, now = DateTime.now() }) {
+  const local = now.setZone(zone);
+  if (!previous) return firstOccurrence(rule, local.plus({ minutes: 1 }));
+
+  let day = DateTime.fromJSDate(previous).setZone(zone).startOf("day");
+  if (rule.freq === "monthly") day = onMonthDay(day, rule.monthDay);
+
+  do {
+    day = step(day, rule);
+  } while (dueOn(day, rule) < local);
+
+  return dueOn(day, rule);
+}
+
+/* =========================
+FORMATTING
+========================= */
+
+// "cada lunes", "cada 2 semanas (lunes)", "el día 1 de cada mes · 09:00"
+export function formatRecurrence(rule) {
+  const n = rule.interval || 1;
+  let text;
+
+  if (rule.freq === "daily") {
+    text = n === 1 ? "cada día" : `cada ${n} días`;
+  } else if (rule.freq === "weekly") {
+    const day = DAY_NAMES[rule.weekday] || "";
+    text = n === 1 ? `cada ${day || "semana"}` : `cada ${n} semanas${day ? ` (${day})` : ""}`;
+  } else {
+    text = n === 1
+      ? rule.monthDay ? `el día ${rule.monthDay} de cada mes` : "cada mes"
+      : `cada ${n} meses${rule.monthDay ? ` (día ${rule.monthDay})` : ""}`;
+  }
+
+  if (rule.hour != null) {
+    text += ` · ${String(rule.hour).padStart(2, "0")}:${String(rule.minute || 0).padStart(2, "0")}`;
+  }
+  return text;
+}
@@ -0,0 +1,50 @@
+// Muëcy Ops — When reminders go out (no database: see reminders.js)
+//
+// A timed task is "due soon" within the window before it (REMINDER_WINDOW_MINUTES,
+// default 120). A date-only one (stored at 23:59, see parseDueDate) is due
+// soon all of that day, so it goes out on the morning run, the first after
+// quiet hours: a window before 23:59 would fall inside them.
+import { DateTime } from "luxon";
+
+export function reminderWindowMinutes() {
+  const n = Number(process.env.REMINDER_WINDOW_MINUTES || 120);
+  return Number.isFinite(n) && n > 0 ? n : 120;
+}
+
+/**
+ * Quiet hours "22-7" (start-end, local hours; may wrap midnight).
+ * Empty / "off" disables them.
+ */
+export function parseQuietHours(spec = process.env.REMINDER_QUIET_HOURS ?? "22-7") {
+  const m = String(spec).trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+  if (!m) return null;
+  return { from: Number(m[1]) % 24, to: Number(m[2]) % 24 };
+}
+
+// The user's own quiet hours ("config: silencio"), else REMINDER_QUIET_HOURS
+export function quietHoursFor(user) {
+  return parseQuietHours(user?.quietHours ?? undefined);
+}
+
+export function isQuietTime(dt, quiet = parseQuietHours()) {
+  if (!quiet || quiet.from === quiet.to) return false;
+  const h = dt.hour;
+  return quiet.from < quiet.to ? h >= quiet.from && h < quiet.to : h >= quiet.from || h < quiet.to;
+}
+
+// Due date without a time (stored as the end of that day, see parseDueDate)
+function isDateOnly(dueAt, zone) {
+  const local = DateTime.fromJSDate(dueAt).setZone(zone);
+  return local.hour === 23 && local.minute === 59;
+}
+
+/**
+ * "OVERDUE", "SOON" or null (not yet) for an open task at `local` (the user's
+ * now): timed tasks are due soon within the window, date-only ones all day.
+ */
+export function reminderKind(task, local, windowMinutes = reminderWindowMinutes()) {
+  if (!task.dueAt) return null;
+  if (task.dueAt <= local.toJSDate()) return "OVERDUE";
+  const soonUntil = isDateOnly(task.dueAt, local.zone) ? local.endOf("day") : local.plus({ minutes: windowMinutes });
+  return task.dueAt <= soonUntil.toJSDate() ? "SOON" : null;
+}
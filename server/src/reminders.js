@@ -0,0 +1,92 @@
+// Muëcy Ops — Due-soon / overdue reminders
+//
+// Runs every few minutes (see index.js). Each reminder is recorded in
+// TaskReminder with @@unique([taskId, kind, dueAt]), so a task is reminded
+// once per kind for a given due date — even with two instances running —
+// and again if its due date changes. When a task is due soon and quiet
+// hours: see reminderTimes.js.
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { OPEN_STATUSES, formatTaskSummary } from "./tasks.js";
+import { telegramSend } from "./telegram.js";
+import { taskKeyboard } from "./taskButtons.js";
+import { chatIdFor, userPrefs } from "./users.js";
+import { reminderWindowMinutes, quietHoursFor, isQuietTime, reminderKind } from "./reminderTimes.js";
+
+// true if this call recorded it (false = another run got there first)
+async function markSent(taskId, kind, dueAt) {
+  try {
+    await prisma.taskReminder.create({ data: { taskId, kind, dueAt } });
+    return true;
+  } catch (e) {
+    if (e?.code === "P2002") return false;
+    throw e;
+  }
+}
+
+/**
+ * Sends the user one Telegram message with tasks due within the window and
+ * tasks that became overdue. Quiet hours are the user's own (or the default),
+ * in the user's timezone. Nothing is marked as sent without a chat to send to,
+ * so linking one later still gets the reminders; a failed send gives its
+ * claims back (and throws, so the job retries).
+ * Returns { soon, overdue, skipped? }.
+ */
+export async function sendDueReminders(user, { now = DateTime.now() } = {}) {
+  const userId = user.id;
+  const chatId = chatIdFor(user);
+  if (!chatId) return { soon: 0, overdue: 0, skipped: "no_chat" };
+
+  const prefs = userPrefs(user);
+  const local = now.setZone(prefs.zone);
+  if (isQuietTime(local, quietHoursFor(user))) return { soon: 0, overdue: 0, skipped: "quiet_hours" };
+
+  // Timed tasks within the window, date-only ones due today (see reminderKind)
+  const windowEnd = DateTime.max(local.plus({ minutes: reminderWindowMinutes() }), local.endOf("day")).toJSDate();
+
+  const tasks = await prisma.task.findMany({
+    where: {
+      userId,
+      status: { in: OPEN_STATUSES },
+      dueAt: { not: null, lte: windowEnd },
+    },
+    orderBy: { dueAt: "asc" },
+  });
+
+  // Claim before sending so a parallel run cannot send the same reminder
+  const claimed = [];
+  const claimedSoon = [];
+  const claimedOverdue = [];
+
+  for (const t of tasks) {
+    const kind = reminderKind(t, local);
+    if (!kind || !(await markSent(t.id, kind, t.dueAt))) continue;
+    claimed.push({ taskId: t.id, kind, dueAt: t.dueAt });
+    (kind === "OVERDUE" ? claimedOverdue : claimedSoon).push(t);
+  }
+
+  if (!claimed.length) return { soon: 0, overdue: 0 };
+
+  const lines = [
+    ...(claimedOverdue.length ? ["🚨 Vencidas:", ...claimedOverdue.map((t) => `• ${formatTaskSummary(t, prefs)}`), ""] : []),
+    ...(claimedSoon.length ? ["⏰ Vencen pronto:", ...claimedSoon.map((t) => `• ${formatTaskSummary(t, prefs)}`), ""] : []),
+    "✅ Para completar: done: texto o con los botones",
+  ];
+
+  // Not delivered: give the claims back so a later run sends them
+  const release = () => prisma.taskReminder.deleteMany({ where: { OR: claimed } });
+  let sent;
+  try {
+    sent = await telegramSend(chatId, lines.join("\n"), taskKeyboard([...claimedOverdue, ...claimedSoon]));
+  } catch (e) {
+    await release();
+    throw e;
+  }
+  if (!sent.ok) {
+    await release();
+    if (sent.skipped) return { soon: 0, overdue: 0, skipped: "telegram_off" };
+    throw new Error(`Telegram sendMessage failed (${sent.status}): ${sent.data?.description || "sin detalle"}`);
+  }
+
+  return { soon: claimedSoon.length, overdue: claimedOverdue.length };
+}
@@ -0,0 +1,253 @@
+// Muëcy Ops — Evening recap and weekly report
+//
+// recap (recapTime, default 18:30): done today, new tasks by source, tasks
+//   that slipped past their due date today, tomorrow's first events.
+// weekly (weeklyDay + weeklyTime, default Monday 08:00): counts for the last
+//   7 days, the oldest open tasks, completion rate per assignee.
+// Both are sent once per local day at the user's time, claimed like the
+// briefing (lastRecapOn / lastWeeklyOn) so two instances never both send.
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { OPEN_STATUSES, formatTaskSummary } from "./tasks.js";
+import { listEventsBetween } from "./calendar.js";
+import { parseClock } from "./briefing.js";
+import { telegramSend } from "./telegram.js";
+import { chatIdFor, userPrefs, listNotifiableUsers } from "./users.js";
+
+const LATE_LIMIT_MINUTES = 120;
+const MAX_LINES = 10;
+const FIRST_EVENTS = 3;
+const SLOWEST = 5;
+
+const DAY_NAMES = ["", "lunes", "martes", "miércoles", "jueves", "viernes", "sábado", "domingo"];
+
+function assigneeLabel(t) {
+  return t.assignedTo?.name || t.assignee || "sin asignar";
+}
+
+function list(tasks, prefs, format = (t) => formatTaskSummary(t, prefs)) {
+  const lines = tasks.slice(0, MAX_LINES).map((t) => `• ${format(t)}`);
+  if (tasks.length > MAX_LINES) lines.push(`• … y ${tasks.length - MAX_LINES} más`);
+  return lines;
+}
+
+// Tasks of `userId` completed (moved to DONE) in [from, to) and still DONE
+function listCompleted(userId, from, to) {
+  return prisma.task.findMany({
+    where: {
+      userId,
+      status: "DONE",
+      history: { some: { toStatus: "DONE", createdAt: { gte: from.toJSDate(), lt: to.toJSDate() } } },
+    },
+    include: { assignedTo: true },
+    orderBy: { updatedAt: "asc" },
+  });
+}
+
+/* =========================
+EVENING RECAP
+========================= */
+
+async function firstEventsOf(user, day) {
+  try {
+    const events = await listEventsBetween(user, day.toJSDate(), day.plus({ days: 1 }).toJSDate());
+    return { events: events.slice(0, FIRST_EVENTS) };
+  } catch (e) {
+    if (e?.code === "not_connected") return { events: [], note: "Google no está conectado." };
+    throw e;
+  }
+}
+
+export async function buildRecap(user, { now = DateTime.now() } = {}) {
+  const prefs = userPrefs(user);
+  const local = now.setZone(prefs.zone).setLocale(prefs.locale);
+  const today = local.startOf("day");
+  const tomorrow = today.plus({ days: 1 });
+
+  const [done, created, slipped, overdue, { events, note }] = await Promise.all([
+    listCompleted(user.id, today, tomorrow),
+    prisma.task.findMany({
+      where: { userId: user.id, createdAt: { gte: today.toJSDate() } },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.task.findMany({
+      where: { userId: user.id, status: { in: OPEN_STATUSES }, dueAt: { gte: today.toJSDate(), lte: local.toJSDate() } },
+      orderBy: { dueAt: "asc" },
+    }),
+    prisma.task.count({
+      where: { userId: user.id, status: { in: OPEN_STATUSES }, dueAt: { lt: today.toJSDate() } },
+    }),
+    firstEventsOf(user, tomorrow),
+  ]);
+
+  const bySource = new Map();
+  for (const t of created) bySource.set(t.source || "manual", (bySource.get(t.source || "manual") || 0) + 1);
+
+  const lines = [
+    "🌙 MUËCY OPS — Resumen del día",
+    `📅 ${local.toFormat("cccc d LLL")}`,
+    "",
+    `✅ Hechas hoy: ${done.length}`,
+    ...list(done, prefs),
+    "",
+    `🆕 Nuevas: ${created.length}`
+      + (created.length ? ` (${[...bySource].map(([s, n]) => `${s} ${n}`).join(", ")})` : ""),
+    "",
+    `⚠️ Se vencieron hoy: ${slipped.length}`,
+    ...list(slipped, prefs),
+  ];
+  if (overdue) lines.push(`• Más ${overdue} vencidas de días anteriores`);
+
+  lines.push("", "📅 Mañana:");
+  if (note) lines.push(`• ${note}`);
+  else if (!events.length) lines.push("• Sin eventos");
+  for (const e of events) {
+    const when = e.allDay ? "todo el día" : DateTime.fromISO(e.start).setZone(prefs.zone).toFormat("HH:mm");
+    lines.push(`• ${when} ${e.summary || "(sin título)"}`);
+  }
+
+  return lines.join("\n");
+}
+
+/* =========================
+WEEKLY REPORT
+========================= */
+
+export async function buildWeeklyReport(user, { now = DateTime.now() } = {}) {
+  const prefs = userPrefs(user);
+  const local = now.setZone(prefs.zone).setLocale(prefs.locale);
+  const to = local.startOf("day");
+  const from = to.minus({ days: 7 });
+
+  const [done, createdCount, open] = await Promise.all([
+    listCompleted(user.id, from, to),
+    prisma.task.count({ where: { userId: user.id, createdAt: { gte: from.toJSDate(), lt: to.toJSDate() } } }),
+    prisma.task.findMany({
+      where: { userId: user.id, status: { in: OPEN_STATUSES } },
+      include: { assignedTo: true },
+      orderBy: { createdAt: "asc" },
+    }),
+  ]);
+
+  const nowDate = local.toJSDate();
+  const overdue = open.filter((t) => t.dueAt && t.dueAt < nowDate).length;
+  const blocked = open.filter((t) => t.status === "BLOCKED").length;
+
+  // Completion rate: done this week / (done this week + still open)
+  const byAssignee = new Map();
+  for (const [t, key] of [...done.map((t) => [t, "done"]), ...open.map((t) => [t, "open"])]) {
+    const label = assigneeLabel(t);
+    if (!byAssignee.has(label)) byAssignee.set(label, { done: 0, open: 0 });
+    byAssignee.get(label)[key]++;
+  }
+  const rates = [...byAssignee]
+    .map(([label, c]) => ({ label, ...c, rate: c.done / (c.done + c.open) }))
+    .sort((a, b) => b.rate - a.rate || b.done - a.done);
+
+  const age = (t) => Math.floor(local.diff(DateTime.fromJSDate(t.createdAt), "days").days);
+
+  const lines = [
+    "📊 MUËCY OPS — Reporte semanal",
+    `📅 ${from.toFormat("d LLL")} – ${to.minus({ days: 1 }).toFormat("d LLL")}`,
+    "",
+    `• Creadas: ${createdCount}`,
+    `• Hechas: ${done.length}`,
+    `• Abiertas: ${open.length} (vencidas ${overdue}, bloqueadas ${blocked})`,
+    "",
+    "🐢 Abiertas hace más tiempo:",
+    ...(open.length
+      ? list(open.slice(0, SLOWEST), prefs, (t) => `${age(t)} d · ${formatTaskSummary(t, prefs)}`)
+      : ["• Ninguna"]),
+    "",
+    "👥 Completadas por responsable (hechas / hechas + abiertas):",
+    ...(rates.length
+      ? rates.map((r) => `• ${r.label}: ${Math.round(r.rate * 100)}% (${r.done}/${r.done + r.open})`)
+      : ["• Sin tareas"]),
+  ];
+
+  return lines.join("\n");
+}
+
+/* =========================
+SCHEDULING
+========================= */
+
+// "18:30" / null (off) from "config: recap ..." input
+export function parseReportTime(value) {
+  const v = String(value || "").trim().toLowerCase();
+  if (["off", "no", "apagado"].includes(v)) return { off: true };
+  const at = parseClock(v);
+  return at == null ? null : { time: `${String(Math.floor(at / 60)).padStart(2, "0")}:${String(at % 60).padStart(2, "0")}` };
+}
+
+export function formatWeekly(user) {
+  return user.weeklyTime ? `${DAY_NAMES[user.weeklyDay] || "lunes"} ${user.weeklyTime}` : "apagado";
+}
+
+const REPORTS = {
+  recap: {
+    timeField: "recapTime",
+    lastField: "lastRecapOn",
+    isDay: () => true,
+    build: buildRecap,
+  },
+  weekly: {
+    timeField: "weeklyTime",
+    lastField: "lastWeeklyOn",
+    isDay: (local, user) => local.weekday === (user.weeklyDay || 1),
+    build: buildWeeklyReport,
+  },
+};
+
+// The user's local date when the report is due now (not sent today), else null
+function reportDueOn(report, user, now) {
+  const at = parseClock(user[report.timeField]);
+  if (at == null) return null; // off
+
+  const local = now.setZone(userPrefs(user).zone);
+  const today = local.toISODate();
+  const minutesNow = local.hour * 60 + local.minute;
+
+  if (user[report.lastField] === today || !report.isDay(local, user)) return null;
+  if (minutesNow < at || minutesNow > at + LATE_LIMIT_MINUTES) return null;
+  return today;
+}
+
+// For the "recap" / "weekly-report" jobs: minutes with nothing to send leave no JobRun
+export async function hasDueReports(kind, { now = DateTime.now() } = {}) {
+  const users = await listNotifiableUsers();
+  return users.some((user) => reportDueOn(REPORTS[kind], user, now));
+}
+
+/**
+ * Called every minute by the "recap" / "weekly-report" jobs: sends each
+ * user's report once per local day at their time (up to 2 h late).
+ */
+export async function runDueReports(kind, { now = DateTime.now() } = {}) {
+  const report = REPORTS[kind];
+  const users = await listNotifiableUsers();
+  const results = [];
+
+  for (const user of users) {
+    const today = reportDueOn(report, user, now);
+    if (!today) continue;
+
+    const claimed = await prisma.user.updateMany({
+      where: { id: user.id, OR: [{ [report.lastField]: null }, { [report.lastField]: { not: today } }] },
+      data: { [report.lastField]: today },
+    });
+    if (!claimed.count) continue;
+
+    try {
+      await telegramSend(chatIdFor(user), await report.build(user, { now }));
+      results.push({ userId: user.id, ok: true });
+    } catch (e) {
+      console.error(`Report ${kind} error (${user.id}):`, e);
+      // Give the claim back so the next minute's tick sends it (the error is not rethrown)
+      await prisma.user.update({ where: { id: user.id }, data: { [report.lastField]: user[report.lastField] } });
+      results.push({ userId: user.id, ok: false, error: e.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,98 @@
+// Muëcy Ops — Email rule commands (reglas, regla: ...)
+import { prisma } from "./db.js";
+import { prefix, exact } from "./parse.js";
+import { parseRuleText } from "./emailRules.js";
+
+function listRules(userId) {
+  return prisma.emailRule.findMany({
+    where: { userId },
+    orderBy: { position: "asc" },
+  });
+}
+
+async function renumber(userId, ordered) {
+  await prisma.$transaction(
+    ordered.map((r, i) => prisma.emailRule.update({ where: { id: r.id }, data: { position: i + 1 } }))
+  );
+}
+
+function formatRule(r, i) {
+  return `${i + 1}) ${r.conditions} -> ${r.actions}`;
+}
+
+export const ruleCommands = [
+  {
+    name: "reglas",
+    section: "Reglas de email",
+    help: ["reglas"],
+    parse: exact("reglas", "rules"),
+    async run(ctx) {
+      const rules = await listRules(ctx.user.id);
+      if (!rules.length) {
+        await ctx.reply("No hay reglas. Ej: regla: from:@supplier.com -> P1");
+        return;
+      }
+      await ctx.reply(["📬 Reglas (en orden):", ...rules.map(formatRule)].join("\n"));
+    },
+  },
+
+  {
+    name: "regla",
+    section: "Reglas de email",
+    help: [
+      "regla: from:@supplier.com -> P1",
+      'regla: domain:stripe.com subject:"payout" -> skip',
+      "regla: subject:estimate -> P1, tag:ventas, due:+2d",
+      "regla borrar: 2   |   regla mover: 3 / 1",
+    ],
+    parse: prefix("regla", "rule"),
+    async run(ctx, { payload }) {
+      const userId = ctx.user.id;
+
+      const del = payload.match(/^(?:borrar|delete)\s*:?\s*(\d+)$/i);
+      if (del) {
+        const rules = await listRules(userId);
+        const rule = rules[Number(del[1]) - 1];
+        if (!rule) {
+          await ctx.reply(`❌ No existe la regla #${del[1]}.`);
+          return;
+        }
+        await prisma.emailRule.delete({ where: { id: rule.id } });
+        await renumber(userId, rules.filter((r) => r.id !== rule.id));
+        await ctx.reply(`🗑️ Regla borrada: ${rule.conditions} -> ${rule.actions}`);
+        return;
+      }
+
+      const mv = payload.match(/^(?:mover|move)\s*:?\s*(\d+)\s*[/\s]\s*(\d+)$/i);
+      if (mv) {
+        const rules = await listRules(userId);
+        const from = Number(mv[1]) - 1;
+        const to = Math.min(Math.max(Number(mv[2]) - 1, 0), rules.length - 1);
+        if (!rules[from]) {
+          await ctx.reply(`❌ No existe la regla #${mv[1]}.`);
+          return;
+        }
+        const [moved] = rules.splice(from, 1);
+        rules.splice(to, 0, moved);
+        await renumber(userId, rules);
+        await ctx.reply(["✅ Nuevo orden:", ...rules.map(formatRule)].join("\n"));
+        return;
+      }
+
+      let parsed;
+      try {
+        parsed = parseRuleText(payload);
+      } catch (e) {
+        await ctx.reply(`⚠️ ${e.message}`);
+        return;
+      }
+
+      const count = await prisma.emailRule.count({ where: { userId } });
+      await prisma.emailRule.create({
+        data: { userId, position: count + 1, ...parsed },
+      });
+
+      await ctx.reply(`✅ Regla #${count + 1}: ${parsed.conditions} -> ${parsed.actions}`);
+    },
+  },
+];
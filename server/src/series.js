@@ -0,0 +1,83 @@
+// Muëcy Ops — Recurring task series
+//
+// A TaskSeries holds the template and the rule; only one occurrence is open
+// at a time. Completing it (done:, API, web) creates the next one, see
+// changeTaskStatus in tasks.js.
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { anchorRule, firstOccurrence, nextOccurrence } from "./recurrence.js";
+import { userPrefs } from "./users.js";
+import { OPEN_STATUSES } from "./tasks.js";
+
+/**
+ * Creates the series for a new recurring task and returns
+ * { series, dueAt } where dueAt is the first occurrence: `firstDue` when
+ * the user gave a date too ("/ cada 2 semanas / viernes"), else the rule's.
+ */
+export async function createSeries(user, { title, priority, assignee, assigneeId, rule, firstDue }) {
+  const { zone } = userPrefs(user);
+  const first = firstDue
+    ? DateTime.fromJSDate(firstDue).setZone(zone)
+    : firstOccurrence(rule, DateTime.now().setZone(zone));
+
+  const series = await prisma.taskSeries.create({
+    data: {
+      userId: user.id,
+      title,
+      priority,
+      assignee,
+      assigneeId,
+      rule: anchorRule(rule, first),
+    },
+  });
+
+  return { series, dueAt: first.toJSDate() };
+}
+
+/**
+ * Next occurrence after `task` was completed, or null when the series was
+ * stopped or already has an open occurrence (e.g. done -> reopen -> done).
+ */
+export async function createNextOccurrence(task) {
+  if (!task.seriesId) return null;
+
+  const series = await prisma.taskSeries.findUnique({
+    where: { id: task.seriesId },
+    include: { user: true },
+  });
+  if (!series?.active) return null;
+
+  const open = await prisma.task.findFirst({
+    where: { seriesId: series.id, status: { in: OPEN_STATUSES }, id: { not: task.id } },
+  });
+  if (open) return null;
+
+  const dueAt = nextOccurrence(series.rule, task.dueAt, userPrefs(series.user));
+
+  return prisma.task.create({
+    data: {
+      userId: series.userId,
+      title: series.title,
+      priority: series.priority,
+      assignee: series.assignee,
+      assigneeId: series.assigneeId,
+      dueAt: dueAt.toJSDate(),
+      status: "PENDING",
+      source: "recurring",
+      seriesId: series.id,
+    },
+  });
+}
+
+export function listSeries(userId) {
+  return prisma.taskSeries.findMany({
+    where: { userId, active: true },
+    orderBy: { createdAt: "asc" },
+    include: { tasks: { where: { status: { in: OPEN_STATUSES } }, orderBy: { dueAt: "asc" }, take: 1 } },
+  });
+}
+
+// Stops creating occurrences; the open one (if any) stays as a normal task
+export function stopSeries(series) {
+  return prisma.taskSeries.update({ where: { id: series.id }, data: { active: false } });
+}
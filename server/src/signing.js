@@ -0,0 +1,47 @@
+// Muëcy Ops — Signed tokens (HMAC-SHA256)
+// Used for the OAuth "state" parameter that ties a Google callback to the
+// Telegram chat that asked for it, web login links and calendar feed URLs.
+import crypto from "node:crypto";
+
+function secret() {
+  const s = process.env.STATE_SECRET || process.env.GOOGLE_CLIENT_SECRET;
+  if (!s) throw new Error("Missing STATE_SECRET");
+  return s;
+}
+
+function hmac(data) {
+  return crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+}
+
+// Signature of `data` that never expires (links that must keep working)
+export function signature(data) {
+  return hmac(data);
+}
+
+/**
+ * sign({ uid, chat }, 900) -> "<payload>.<signature>" valid for ttlSeconds
+ */
+export function sign(payload, ttlSeconds = 900) {
+  const body = Buffer.from(
+    JSON.stringify({ ...payload, exp: Math.floor(Date.now() / 1000) + ttlSeconds })
+  ).toString("base64url");
+  return `${body}.${hmac(body)}`;
+}
+
+// Returns the payload, or null if tampered / expired / malformed
+export function verify(token) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(hmac(body));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!payload.exp || payload.exp < Date.now() / 1000) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,67 @@
+// Muëcy Ops — Free/busy: conflicts for new events and free-slot suggestions
+import { DateTime } from "luxon";
+import { listBusy, listEventsBetween, workingHours } from "./calendar.js";
+import { computeFreeGaps } from "./agenda.js";
+
+const SLOT_STEP_MINUTES = 15;
+const SEARCH_DAYS = 7;
+
+/**
+ * Busy intervals overlapping [start, end), with the titles of the events
+ * behind them when we can see them: [{ start, end, summary }] (DateTimes).
+ */
+export async function findConflicts(user, start, end) {
+  const busy = await listBusy(user, start.toJSDate(), end.toJSDate());
+  if (!busy.length) return [];
+
+  const events = await listEventsBetween(user, start.minus({ days: 1 }).toJSDate(), end.toJSDate());
+
+  return busy.map((b) => {
+    const bs = DateTime.fromISO(b.start).setZone(start.zone);
+    const be = DateTime.fromISO(b.end).setZone(start.zone);
+    const titles = events
+      .filter((e) => !e.allDay && DateTime.fromISO(e.start) < be && DateTime.fromISO(e.end) > bs)
+      .map((e) => e.summary || "(sin título)");
+    return { start: bs, end: be, summary: titles.join(", ") || null };
+  });
+}
+
+// Round up to the next quarter hour: 9:07 -> 9:15
+function roundUp(dt) {
+  const clean = dt.set({ second: 0, millisecond: 0 });
+  const extra = (SLOT_STEP_MINUTES - (clean.minute % SLOT_STEP_MINUTES)) % SLOT_STEP_MINUTES;
+  return clean.plus({ minutes: extra });
+}
+
+/**
+ * Next `count` free slots of `minutes` inside the user's working hours,
+ * from `from` (Luxon, user's zone) onward, looking up to 7 days ahead.
+ * One slot per free gap, so suggestions are spread over the day.
+ * Returns [{ start, end }] DateTimes.
+ */
+export async function suggestSlots(user, { from, minutes = 60, count = 3, days = SEARCH_DAYS }) {
+  const wh = workingHours(user);
+  const now = DateTime.now().setZone(from.zone);
+  const first = from < now ? now : from;
+  const last = first.startOf("day").plus({ days });
+
+  const busy = await listBusy(user, first.toJSDate(), last.toJSDate());
+
+  const slots = [];
+  for (let day = first.startOf("day"); day < last && slots.length < count; day = day.plus({ days: 1 })) {
+    let start = day.set({ ...wh.start, second: 0, millisecond: 0 });
+    const end = day.set({ ...wh.end, second: 0, millisecond: 0 });
+    if (first > start) start = roundUp(first);
+    if (start >= end) continue;
+
+    for (const gap of computeFreeGaps(busy, start, end, minutes)) {
+      const slotStart = roundUp(gap.start);
+      const slotEnd = slotStart.plus({ minutes });
+      if (slotEnd > gap.end) continue;
+      slots.push({ start: slotStart, end: slotEnd });
+      if (slots.length >= count) break;
+    }
+  }
+
+  return slots;
+}
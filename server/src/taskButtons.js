@@ -0,0 +1,196 @@
+// Muëcy Ops — Inline buttons on task messages (top, hoy, reminders)
+//
+// Every task gets a row:  🔎 título · ✅ · 🔨 · 💤   (open, done, doing, snooze)
+// callback_data = "t:<action>:<view>:<taskId>[:<owner>]": by id, not list
+// position, so a press on an old message still hits the right task. After the
+// change the message is edited in place: top and hoy are rebuilt from scratch
+// (only the list's owner may press them), any other message (reminders) keeps
+// its text plus a line saying what changed.
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import {
+  listTopTasks,
+  findAccessibleTask,
+  changeTaskStatus,
+  listTaskHistory,
+  formatTaskLine,
+  formatTaskDetails,
+} from "./tasks.js";
+import { buildAgendaView } from "./agenda.js";
+import { formatDue } from "./when.js";
+import { resolveTelegramUser, userPrefs } from "./users.js";
+import { isTelegramAllowed } from "./access.js";
+
+const MAX_ROWS = 10;
+const TITLE_CHARS = 24;
+const CALLBACK_RE = /^t:([dgso]):(top|hoy|msg):([^:]+)(?::([^:]+))?$/;
+// Start of the list owner's User.id: a whole one doesn't fit in Telegram's 64 bytes
+const OWNER_CHARS = 8;
+
+function shortTitle(title) {
+  return title.length > TITLE_CHARS ? `${title.slice(0, TITLE_CHARS - 1)}…` : title;
+}
+
+/**
+ * reply_markup with one row per task (max 10); {} when there are none, so
+ * it can be spread straight into reply/telegramSend extras.
+ * view: "top" | "hoy" | "msg" — what to rebuild after a press;
+ * owner: the user whose top / hoy list this is.
+ */
+export function taskKeyboard(tasks, view = "msg", owner = null) {
+  const ownerPart = owner ? `:${owner.id.slice(0, OWNER_CHARS)}` : "";
+  const rows = tasks.slice(0, MAX_ROWS).map((t, i) => {
+    const data = (action) => `t:${action}:${view}:${t.id}${ownerPart}`;
+    const label = view === "top" ? `${i + 1}. ${shortTitle(t.title)}` : shortTitle(t.title);
+
+    if (t.status === "DONE") return [{ text: `✅ ${label}`, callback_data: data("o") }];
+    return [
+      { text: `🔎 ${label}`, callback_data: data("o") },
+      { text: "✅", callback_data: data("d") },
+      ...(t.status === "DOING" ? [] : [{ text: "🔨", callback_data: data("g") }]),
+      { text: "💤", callback_data: data("s") },
+    ];
+  });
+
+  return rows.length ? { reply_markup: { inline_keyboard: rows } } : {};
+}
+
+/* =========================
+VIEWS (sent by the commands, rebuilt after a press)
+========================= */
+
+export async function topView(user) {
+  const tasks = await listTopTasks(user.id);
+  if (!tasks.length) return { text: "No hay tareas.", extra: {} };
+
+  const prefs = userPrefs(user);
+  return {
+    text: [
+      "🔴 Top 10 tareas:",
+      ...tasks.map((t, i) => formatTaskLine(t, i, prefs)),
+      "",
+      "✅ Para completar: done: 1 (o done: texto) o con los botones",
+    ].join("\n"),
+    extra: taskKeyboard(tasks, "top", user),
+  };
+}
+
+export async function hoyView(user) {
+  const { text, tasks } = await buildAgendaView(user, { offsetDays: 0, days: 1 });
+  return { text, extra: taskKeyboard(tasks, "hoy", user) };
+}
+
+/* =========================
+ACTIONS
+========================= */
+
+// 💤: same time on the next day that is still ahead (no due date: end of tomorrow)
+export function snoozedDueAt(dueAt, { zone, now = DateTime.now() }) {
+  const local = now.setZone(zone);
+  let next = (dueAt ? DateTime.fromJSDate(dueAt).setZone(zone) : local.endOf("day")).plus({ days: 1 });
+  while (next <= local) next = next.plus({ days: 1 });
+  return next.toJSDate();
+}
+
+// Applies the action; returns the line that describes the new state
+async function applyAction(action, task, { actor, prefs }) {
+  if (action === "s") {
+    if (task.status === "DONE") return `ℹ️ Ya está en DONE: ${task.title}`;
+
+    const dueAt = snoozedDueAt(task.dueAt, prefs);
+    const from = task.dueAt ? formatDue(task.dueAt, prefs) : "sin fecha";
+    // Same status on both sides: the history line only carries the new date
+    await prisma.$transaction([
+      prisma.task.update({ where: { id: task.id }, data: { dueAt } }),
+      prisma.taskHistory.create({
+        data: {
+          taskId: task.id,
+          fromStatus: task.status,
+          toStatus: task.status,
+          note: `pospuesta: ${from} → ${formatDue(dueAt, prefs)}`,
+          actorId: actor.userId,
+          actor: actor.label,
+        },
+      }),
+    ]);
+    return `💤 ${task.title} → ${formatDue(dueAt, prefs)}`;
+  }
+
+  const status = action === "d" ? "DONE" : "DOING";
+  if (task.status === status) return `ℹ️ Ya está en ${status}: ${task.title}`;
+
+  const updated = await changeTaskStatus(task, status, { actor });
+  const next = updated.nextOccurrence;
+  return `${status === "DONE" ? "✅ DONE" : "🔨 DOING"}: ${task.title}`
+    + (next ? ` · 🔁 siguiente: ${formatDue(next.dueAt, prefs)}` : "");
+}
+
+// Task ids behind the buttons of an already sent message, in order
+function keyboardTaskIds(message) {
+  const ids = [];
+  for (const row of message?.reply_markup?.inline_keyboard || []) {
+    for (const b of row) {
+      const id = String(b.callback_data || "").match(CALLBACK_RE)?.[3];
+      if (id && !ids.includes(id)) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+// Any other message: same text + what changed, buttons with fresh state
+async function patchedView(message, line) {
+  const ids = keyboardTaskIds(message);
+  const tasks = await prisma.task.findMany({ where: { id: { in: ids } } });
+  tasks.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+  return { text: `${message?.text || ""}\n${line}`.trim(), extra: taskKeyboard(tasks, "msg") };
+}
+
+/**
+ * Entrada común para los botones; webhook (index.js) y polling (bot.js) son
+ * solo transportes.
+ * query: { chatId, fromId, name, data, message } (message = el mensaje de Telegram)
+ * api:   { answer(text?), edit(text, extra), reply(text, extra) }
+ */
+export async function handleCallback({ chatId, fromId, name, data, message }, api) {
+  const m = String(data || "").match(CALLBACK_RE);
+  if (!m) {
+    await api.answer();
+    return;
+  }
+  const [, action, view, taskId, owner] = m;
+
+  if (!(await isTelegramAllowed({ fromId, chatId }))) {
+    await api.answer("🔒 No autorizado");
+    return;
+  }
+
+  const user = await resolveTelegramUser({ fromId, chatId, name });
+  // In a group everyone sees the list; rebuilding it would show the presser's
+  if (owner && !user.id.startsWith(owner)) {
+    await api.answer("🔒 Esta lista es de otra persona");
+    return;
+  }
+
+  const task = await findAccessibleTask(user.id, taskId);
+  if (!task) {
+    await api.answer("❌ Tarea no encontrada");
+    return;
+  }
+
+  const prefs = userPrefs(user);
+
+  if (action === "o") {
+    await api.answer();
+    await api.reply(formatTaskDetails(task, await listTaskHistory(task.id), prefs), taskKeyboard([task]));
+    return;
+  }
+
+  const actor = { userId: user.id, label: user.name || `tg:${fromId || chatId}` };
+  const line = await applyAction(action, task, { actor, prefs });
+  await api.answer(line.slice(0, 200)); // Telegram's limit for the toast
+
+  const next = view === "top" ? await topView(user)
+    : view === "hoy" ? await hoyView(user)
+    : await patchedView(message, line);
+  await api.edit(next.text, next.extra);
+}
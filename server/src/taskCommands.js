@@ -0,0 +1,325 @@
+// Muëcy Ops — Task commands (tarea, top, done, doing, block, reopen, historial, exportar)
+import { prisma } from "./db.js";
+import { prefix, exact, splitParts, normalizePriority, isPriorityToken } from "./parse.js";
+import {
+  STATUSES,
+  OPEN_STATUSES,
+  findTask,
+  changeTaskStatus,
+  listTaskHistory,
+  formatTaskDetails,
+} from "./tasks.js";
+import { parseDueDate, formatDue } from "./when.js";
+import { parseRecurrence, formatRecurrence } from "./recurrence.js";
+import { createSeries, listSeries, stopSeries } from "./series.js";
+import { userPrefs } from "./users.js";
+import { resolveAssignee, notifyAssignees } from "./team.js";
+import { topView } from "./taskButtons.js";
+import { EXPORT_FORMATS, exportTasks } from "./taskTransfer.js";
+import { telegramSendDocument } from "./telegram.js";
+
+// Quién hace el cambio (para TaskHistory)
+export function actorFor(ctx) {
+  return { userId: ctx.user.id, label: ctx.user.name || `tg:${ctx.fromId || ctx.chatId}` };
+}
+
+/**
+ * Comando de cambio de estado: "<name>: ref" -> status.
+ * find: opciones para findTask (en qué estados buscar por texto)
+ */
+function statusCommand({ name, aliases = [], help, status, find, verb }) {
+  return {
+    name,
+    section: "Tareas",
+    help: [help],
+    parse: prefix(name, ...aliases),
+    async run(ctx, { payload }) {
+      if (!payload) {
+        await ctx.reply(`⚠️ Usa: ${help}`);
+        return;
+      }
+
+      const { task, error } = await findTask(ctx.user.id, payload, find);
+      if (error) {
+        await ctx.reply(error);
+        return;
+      }
+      if (task.status === status) {
+        await ctx.reply(`ℹ️ Ya está en ${status}: ${task.title}`);
+        return;
+      }
+
+      const updated = await changeTaskStatus(task, status, { actor: actorFor(ctx) });
+      const next = updated.nextOccurrence;
+      await ctx.reply(
+        `${verb}: ${task.title}`
+          + (next ? `\n🔁 Siguiente: ${formatDue(next.dueAt, userPrefs(ctx.user))}` : "")
+      );
+    },
+  };
+}
+
+/**
+ * tarea: título / rol / prioridad / fecha / repetición
+ * Todo menos el título es opcional y en cualquier orden:
+ * "tarea: x / high / viernes" también funciona.
+ */
+export function parseTaskPayload(payload, { zone } = {}) {
+  const parts = splitParts(payload);
+  const title = parts[0] || "";
+  const rest = parts.slice(1);
+
+  let assignee = null;
+  let priority = 2;
+  let dueAt = null;
+  let recurrence = null;
+
+  for (const p of rest) {
+    if (isPriorityToken(p)) {
+      priority = normalizePriority(p);
+      continue;
+    }
+
+    const rule = recurrence ? null : parseRecurrence(p);
+    if (rule) {
+      recurrence = rule;
+      continue;
+    }
+
+    const due = dueAt ? null : parseDueDate(p, { zone });
+    if (due) dueAt = due;
+    else if (!assignee) assignee = p;
+  }
+
+  return { title, assignee, priority, dueAt, recurrence };
+}
+
+export const taskCommands = [
+  {
+    name: "tarea",
+    section: "Tareas",
+    help: [
+      "tarea: cortar fillers cocina / Producción / high",
+      "tarea: pedir material / Oficina / viernes   (mañana, en 3 días, fin de mes, 2026-03-15)",
+      "tarea: instalar closet / Carlos / mañana   (persona del equipo: le llega aviso)",
+      "tarea: pedido proveedor / cada lunes   (every 2 weeks, el día 1 de cada mes, diario 8am)",
+    ],
+    parse: prefix("tarea"),
+    async run(ctx, { payload }) {
+      const prefs = userPrefs(ctx.user);
+      const { title, assignee, priority, dueAt: givenDue, recurrence } = parseTaskPayload(payload, prefs);
+
+      if (!title) {
+        await ctx.reply("⚠️ Escribe algo después de 'tarea:'");
+        return;
+      }
+
+      // Persona del equipo, rol o texto libre
+      const assigned = await resolveAssignee(ctx.user.id, assignee);
+
+      let dueAt = givenDue;
+      let series = null;
+      if (recurrence) {
+        ({ series, dueAt } = await createSeries(ctx.user, {
+          title,
+          priority,
+          assignee: assigned.assignee,
+          assigneeId: assigned.assigneeId,
+          rule: recurrence,
+          firstDue: givenDue,
+        }));
+      }
+
+      const task = await prisma.task.create({
+        data: {
+          userId: ctx.user.id,
+          title,
+          assignee: assigned.assignee,
+          assigneeId: assigned.assigneeId,
+          priority,
+          dueAt,
+          status: "PENDING",
+          source: series ? "recurring" : "manual",
+          seriesId: series?.id || null,
+        },
+      });
+
+      const notified = await notifyAssignees(task, assigned.notify, { by: ctx.user.name, prefs });
+
+      await ctx.reply(
+        [
+          "✅ Tarea creada",
+          `• ${task.title}`,
+          assigned.member
+            ? `• Asignada a: ${assigned.member.name}${task.assignee ? ` (${task.assignee})` : ""}`
+            : `• Rol: ${task.assignee || "(sin asignar)"}`,
+          `• Prioridad: P${task.priority}`,
+          task.dueAt ? `• Vence: ${formatDue(task.dueAt, prefs)}` : null,
+          series ? `• 🔁 Se repite: ${formatRecurrence(series.rule)}` : null,
+          notified ? `• 📨 Avisado${notified > 1 ? `s: ${notified}` : ""}` : null,
+        ]
+          .filter(Boolean)
+          .join("\n")
+      );
+    },
+  },
+
+  {
+    name: "top",
+    section: "Tareas",
+    help: ["top"],
+    parse: exact("top"),
+    async run(ctx) {
+      const { text, extra } = await topView(ctx.user);
+      await ctx.reply(text, extra);
+    },
+  },
+
+  statusCommand({
+    name: "done",
+    aliases: ["hecho"],
+    help: "done: 1   (o done: texto)",
+    status: "DONE",
+    verb: "✅ DONE",
+  }),
+
+  statusCommand({
+    name: "doing",
+    aliases: ["haciendo"],
+    help: "doing: 2",
+    status: "DOING",
+    verb: "🔨 DOING",
+  }),
+
+  {
+    name: "block",
+    section: "Tareas",
+    help: ["block: 3 / esperando material"],
+    parse: prefix("block", "bloquear"),
+    async run(ctx, { payload }) {
+      const [ref, ...rest] = payload.split("/");
+      const reason = rest.join("/").trim();
+
+      if (!ref.trim() || !reason) {
+        await ctx.reply("⚠️ Usa: block: 3 / motivo   (el motivo es obligatorio)");
+        return;
+      }
+
+      const { task, error } = await findTask(ctx.user.id, ref);
+      if (error) {
+        await ctx.reply(error);
+        return;
+      }
+
+      await changeTaskStatus(task, "BLOCKED", { actor: actorFor(ctx), reason });
+      await ctx.reply(`⛔ BLOCKED: ${task.title}\n• Motivo: ${reason}`);
+    },
+  },
+
+  statusCommand({
+    name: "reopen",
+    aliases: ["reabrir"],
+    help: "reopen: fillers",
+    status: "PENDING",
+    // Por texto busca primero lo más recientemente tocado, incluidas las DONE
+    find: { statuses: ["DONE", "BLOCKED", "DOING"], orderBy: { updatedAt: "desc" } },
+    verb: "🔄 PENDING",
+  }),
+
+  {
+    name: "series",
+    section: "Tareas",
+    help: ["series   (tareas recurrentes)   |   serie parar: 2"],
+    parse: exact("series", "/series", "recurrentes"),
+    async run(ctx) {
+      const list = await listSeries(ctx.user.id);
+      if (!list.length) {
+        await ctx.reply("No hay tareas recurrentes. Ej: tarea: pedido proveedor / cada lunes");
+        return;
+      }
+
+      const prefs = userPrefs(ctx.user);
+      await ctx.reply(
+        [
+          "🔁 Tareas recurrentes:",
+          ...list.map((s, i) => {
+            const next = s.tasks[0]?.dueAt ? ` — próxima: ${formatDue(s.tasks[0].dueAt, prefs)}` : "";
+            return `${i + 1}) [P${s.priority}] ${s.title} · ${formatRecurrence(s.rule)}${next}`;
+          }),
+          "",
+          "Parar: serie parar: 1",
+        ].join("\n")
+      );
+    },
+  },
+
+  {
+    name: "serie parar",
+    parse: prefix("serie parar", "parar serie", "serie borrar", "stop series"),
+    async run(ctx, { payload }) {
+      const list = await listSeries(ctx.user.id);
+      const n = Number(payload);
+      const series = Number.isInteger(n) && n > 0
+        ? list[n - 1]
+        : list.find((s) => s.title.toLowerCase().includes((payload || "").toLowerCase()));
+
+      if (!payload || !series) {
+        await ctx.reply("❌ No encontré esa serie. Ver: series");
+        return;
+      }
+
+      await stopSeries(series);
+      await ctx.reply(
+        `⏹️ Serie parada: ${series.title} · ${formatRecurrence(series.rule)}`
+          + (series.tasks.length ? "\nLa tarea abierta sigue en tu lista; ya no se crearán más." : "")
+      );
+    },
+  },
+
+  {
+    name: "historial",
+    section: "Tareas",
+    help: ["historial: 3"],
+    parse: prefix("historial", "history"),
+    async run(ctx, { payload }) {
+      if (!payload) {
+        await ctx.reply("⚠️ Usa: historial: 3  (o historial: texto)");
+        return;
+      }
+
+      const prefs = userPrefs(ctx.user);
+      const { task, error } = await findTask(ctx.user.id, payload, {
+        statuses: STATUSES,
+        orderBy: { updatedAt: "desc" },
+      });
+      if (error) {
+        await ctx.reply(error);
+        return;
+      }
+
+      const history = await listTaskHistory(task.id);
+      await ctx.reply(formatTaskDetails(task, history, prefs));
+    },
+  },
+
+  {
+    name: "exportar",
+    section: "Tareas",
+    help: ["exportar   |   exportar: json   |   exportar: ics abiertas   (archivo con tus tareas)"],
+    parse: prefix("exportar", "export"),
+    async run(ctx, { payload }) {
+      const words = payload.toLowerCase().split(/\s+/).filter(Boolean);
+      const format = words.find((w) => EXPORT_FORMATS.includes(w)) || "csv";
+      const open = words.some((w) => ["abiertas", "open"].includes(w));
+      if (words.some((w) => !EXPORT_FORMATS.includes(w) && !["abiertas", "open"].includes(w))) {
+        await ctx.reply("⚠️ Usa: exportar [csv|json|ics] [abiertas]");
+        return;
+      }
+
+      const file = await exportTasks(ctx.user, { format, statuses: open ? OPEN_STATUSES : [] });
+      const what = format === "ics" ? "tareas con fecha" : "tareas";
+      const sent = await telegramSendDocument(ctx.chatId, file, `📦 ${file.count} ${what} (${format})`);
+      if (!sent.ok) await ctx.reply("❌ No pude enviar el archivo.");
+    },
+  },
+];
@@ -0,0 +1,123 @@
+// Muëcy Ops — Task create/update input (REST API and web dashboard)
+//
+// Validates a plain JSON body into Prisma data and applies updates the same
+// way Telegram does: status changes go through changeTaskStatus (history),
+// assignees through resolveAssignee (and get notified).
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { STATUSES, changeTaskStatus } from "./tasks.js";
+import { resolveAssignee, notifyAssignees } from "./team.js";
+import { parseDueDate } from "./when.js";
+import { userPrefs } from "./users.js";
+
+// Invalid input; message is safe to show to the caller
+export class TaskInputError extends Error {}
+
+export function parseStatus(value) {
+  const status = String(value || "").toUpperCase();
+  if (!STATUSES.includes(status)) throw new TaskInputError(`Invalid status: use ${STATUSES.join(" | ")}`);
+  return status;
+}
+
+// ISO timestamps in the user's zone unless they carry Z / an offset
+// ("2026-03-15T10:00" = 10:00 there); anything else goes through the
+// Telegram date parser ("viernes", "2026-03-15" -> end of that day)
+function parseDueAt(value, prefs) {
+  if (value === null || value === "") return null;
+  const text = String(value).trim();
+
+  const due = /^\d{4}-\d{2}-\d{2}T/.test(text)
+    ? DateTime.fromISO(text, { zone: prefs.zone }).toJSDate()
+    : parseDueDate(text, prefs);
+  if (!due || Number.isNaN(due.getTime())) throw new TaskInputError(`Invalid dueAt: "${value}"`);
+  return due;
+}
+
+/**
+ * Validates a create/update body. Returns { data, assigned } where `assigned`
+ * is the resolveAssignee() result when the body set an assignee.
+ */
+export async function parseTaskInput(body, user, { create = false } = {}) {
+  const b = body || {};
+  const data = {};
+  let assigned = null;
+
+  if (create || b.title !== undefined) {
+    const title = typeof b.title === "string" ? b.title.trim() : "";
+    if (!title) throw new TaskInputError("title is required");
+    data.title = title;
+  }
+
+  if (b.description !== undefined) {
+    data.description = b.description == null || b.description === "" ? null : String(b.description);
+  }
+
+  if (b.priority !== undefined) {
+    const p = Number(b.priority);
+    if (![1, 2, 3].includes(p)) throw new TaskInputError("priority must be 1, 2 or 3");
+    data.priority = p;
+  } else if (create) {
+    data.priority = 2;
+  }
+
+  if (b.dueAt !== undefined) data.dueAt = parseDueAt(b.dueAt, userPrefs(user));
+
+  if (b.tags !== undefined) {
+    if (!Array.isArray(b.tags)) throw new TaskInputError("tags must be an array of strings");
+    data.tags = b.tags.map((t) => String(t).trim()).filter(Boolean);
+  }
+
+  if (b.assignee !== undefined) {
+    assigned = await resolveAssignee(user.id, b.assignee ? String(b.assignee).trim() : null);
+    data.assignee = assigned.assignee;
+    data.assigneeId = assigned.assigneeId;
+  }
+
+  return { data, assigned };
+}
+
+/**
+ * Creates a task for `user` from a body (see parseTaskInput) and notifies
+ * the assignees.
+ */
+export async function createTask(body, user, { source }) {
+  const { data, assigned } = await parseTaskInput(body, user, { create: true });
+
+  const task = await prisma.task.create({
+    data: { ...data, userId: user.id, status: "PENDING", source },
+  });
+
+  if (assigned?.notify.length) {
+    await notifyAssignees(task, assigned.notify, { by: user.name, prefs: userPrefs(user) });
+  }
+  return task;
+}
+
+/**
+ * Applies a body to `current`: fields first, then { status, blockedReason }.
+ * actor: who changed it (TaskHistory), see changeTaskStatus.
+ */
+export async function updateTask(current, body, { user, actor }) {
+  const { data, assigned } = await parseTaskInput(body, user);
+
+  const status = body?.status !== undefined ? parseStatus(body.status) : null;
+  const reason = body?.blockedReason ? String(body.blockedReason).trim() : null;
+  if (status === "BLOCKED" && status !== current.status && !reason) {
+    throw new TaskInputError("blockedReason is required to block a task");
+  }
+
+  let task = Object.keys(data).length
+    ? await prisma.task.update({ where: { id: current.id }, data })
+    : current;
+
+  if (status && status !== current.status) {
+    task = await changeTaskStatus(current, status, { actor, reason });
+  }
+
+  const reassigned = data.assigneeId !== current.assigneeId || data.assignee !== current.assignee;
+  if (assigned?.notify.length && reassigned) {
+    await notifyAssignees(task, assigned.notify, { by: user.name, prefs: userPrefs(user) });
+  }
+
+  return task;
+}
@@ -0,0 +1,342 @@
+// Muëcy Ops — Task export (CSV, JSON, iCalendar) and import (CSV, JSON)
+//
+// Export: every task of the user (or only some statuses). In the .ics file
+// tasks with a due date are VTODO entries (as: "event" -> VEVENT instead).
+//
+// Import: one task per CSV row / JSON object, columns as in the export
+// (Spanish headers work too: titulo, estado, prioridad, vence, responsable...).
+// Rows with an externalId are skipped when the user already has a task with
+// that source + externalId (source defaults to "import"), so re-importing the
+// same sheet creates nothing twice. Exported rows without an externalId use
+// their id instead (source "export"), and are skipped too when that task is
+// still there. A dry run validates everything and returns the preview without
+// writing; otherwise every task is created in one transaction.
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { TOP_ORDER } from "./tasks.js";
+import { TaskInputError, parseStatus, parseTaskInput } from "./taskEdit.js";
+import { normalizePriority } from "./parse.js";
+import { normalize } from "./when.js";
+import { userPrefs } from "./users.js";
+import { buildCalendar, taskTodo, taskEvent } from "./ical.js";
+
+export const EXPORT_FORMATS = ["csv", "json", "ics"];
+export const MAX_IMPORT_ROWS = 1000;
+const DEFAULT_SOURCE = "import";
+// Source of rows deduped by their exported id
+const EXPORT_SOURCE = "export";
+
+const COLUMNS = [
+  "id", "title", "description", "status", "blockedReason", "priority", "dueAt",
+  "assignee", "tags", "source", "externalId", "createdAt", "updatedAt",
+];
+
+// Header (normalized) -> field
+const HEADER_ALIASES = {
+  id: "id",
+  title: "title", titulo: "title", tarea: "title", task: "title",
+  description: "description", descripcion: "description", notas: "description", notes: "description",
+  status: "status", estado: "status",
+  blockedreason: "blockedReason", motivo: "blockedReason",
+  priority: "priority", prioridad: "priority",
+  dueat: "dueAt", due: "dueAt", vence: "dueAt", fecha: "dueAt",
+  assignee: "assignee", responsable: "assignee", asignado: "assignee",
+  tags: "tags", etiquetas: "tags",
+  source: "source", origen: "source",
+  externalid: "externalId",
+};
+
+const STATUS_ALIASES = { pendiente: "PENDING", "en curso": "DOING", haciendo: "DOING", bloqueada: "BLOCKED", hecha: "DONE" };
+
+/* =========================
+EXPORT
+========================= */
+
+function exportRow(t) {
+  return {
+    id: t.id,
+    title: t.title,
+    description: t.description,
+    status: t.status,
+    blockedReason: t.blockedReason,
+    priority: t.priority,
+    dueAt: t.dueAt ? t.dueAt.toISOString() : null,
+    assignee: t.assignedTo?.name || t.assignee || null,
+    tags: t.tags || [],
+    source: t.source,
+    externalId: t.externalId,
+    createdAt: t.createdAt.toISOString(),
+    updatedAt: t.updatedAt.toISOString(),
+  };
+}
+
+// Excel / Sheets run cells starting with these as formulas (titles come from
+// Gmail subjects, anyone can write them): such cells get a leading "'"
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let s = Array.isArray(value) ? value.join("; ") : value == null ? "" : String(value);
+  if (FORMULA_START.test(s)) s = `'${s}`;
+  return /[",;\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(tasks) {
+  const lines = [COLUMNS.join(","), ...tasks.map((t) => {
+    const row = exportRow(t);
+    return COLUMNS.map((c) => csvCell(row[c])).join(",");
+  })];
+  // BOM: Excel opens the file as UTF-8 (accents)
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+export function toJson(tasks) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), count: tasks.length, tasks: tasks.map(exportRow) }, null, 2);
+}
+
+export function toIcs(tasks, prefs, { as = "todo" } = {}) {
+  const due = tasks.filter((t) => t.dueAt);
+  const components = due.map((t) => (as === "event" ? taskEvent(t, prefs) : taskTodo(t, prefs)));
+  return buildCalendar(components, { name: "Muëcy Ops — tareas" });
+}
+
+/**
+ * The user's tasks as a file: { filename, contentType, body, count }.
+ * statuses: only these (default all); as: "todo" | "event" (ics only).
+ */
+export async function exportTasks(user, { format = "csv", statuses = [], as = "todo" } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) throw new TaskInputError(`Invalid format: use ${EXPORT_FORMATS.join(" | ")}`);
+
+  const prefs = userPrefs(user);
+  const tasks = await prisma.task.findMany({
+    where: { userId: user.id, ...(statuses.length && { status: { in: statuses } }) },
+    include: { assignedTo: true },
+    orderBy: TOP_ORDER,
+  });
+
+  const filename = `muecy-tareas-${DateTime.now().setZone(prefs.zone).toISODate()}.${format}`;
+  if (format === "json") {
+    return { filename, contentType: "application/json; charset=utf-8", body: toJson(tasks), count: tasks.length };
+  }
+  if (format === "ics") {
+    const body = toIcs(tasks, prefs, { as });
+    return { filename, contentType: "text/calendar; charset=utf-8", body, count: tasks.filter((t) => t.dueAt).length };
+  }
+  return { filename, contentType: "text/csv; charset=utf-8", body: toCsv(tasks), count: tasks.length };
+}
+
+/* =========================
+IMPORT: PARSING
+========================= */
+
+// RFC 4180 records; the delimiter ("," or ";", Excel in Spanish) comes from the header line
+function parseCsvRecords(text) {
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ";" : ",";
+
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || record.length) records.push([...record, cell]);
+
+  return records.filter((r) => r.some((c) => c.trim()));
+}
+
+function fieldFor(header) {
+  return HEADER_ALIASES[normalize(header).replace(/[\s_-]/g, "")] || null;
+}
+
+function parseJson(content) {
+  if (typeof content !== "string") return content; // already parsed (express.json)
+  try {
+    return JSON.parse(content.replace(/^\uFEFF/, ""));
+  } catch {
+    throw new TaskInputError("Invalid JSON");
+  }
+}
+
+/**
+ * A CSV / JSON upload -> [{ line, data }]; line: spreadsheet row (CSV) or
+ * array position from 1 (JSON). Throws TaskInputError for a file it can't read.
+ */
+export function parseImportFile(content, format) {
+  let rows;
+
+  if (format === "json") {
+    const parsed = parseJson(content);
+    const list = Array.isArray(parsed) ? parsed : parsed?.tasks;
+    if (!Array.isArray(list)) throw new TaskInputError("JSON must be an array of tasks or { tasks: [...] }");
+
+    rows = list.map((obj, i) => {
+      const data = {};
+      for (const [k, v] of Object.entries(obj && typeof obj === "object" ? obj : {})) {
+        const field = fieldFor(k);
+        if (field) data[field] = v;
+      }
+      return { line: i + 1, data };
+    });
+  } else if (format === "csv") {
+    const [header, ...records] = parseCsvRecords(String(content || "").replace(/^\uFEFF/, ""));
+    const fields = (header || []).map(fieldFor);
+    if (!fields.includes("title")) throw new TaskInputError("CSV needs a header row with a title (or titulo) column");
+
+    rows = records.map((record, i) => {
+      const data = {};
+      fields.forEach((field, j) => {
+        // Undo the export's "'" in front of formula-like cells
+        const raw = record[j] ?? "";
+        const value = (raw.startsWith("'") && FORMULA_START.test(raw.slice(1)) ? raw.slice(1) : raw).trim();
+        if (field && value !== "") data[field] = value;
+      });
+      return { line: i + 2, data };
+    });
+  } else {
+    throw new TaskInputError("Invalid format: use csv | json");
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) throw new TaskInputError(`Too many rows: at most ${MAX_IMPORT_ROWS} per import`);
+  return rows;
+}
+
+/* =========================
+IMPORT: VALIDATION + WRITE
+========================= */
+
+function importStatus(value) {
+  if (value == null || value === "") return "PENDING";
+  return STATUS_ALIASES[normalize(String(value))] || parseStatus(value);
+}
+
+function importPriority(value) {
+  if (value == null || value === "") return undefined;
+  return [1, 2, 3].includes(Number(value)) ? Number(value) : normalizePriority(String(value));
+}
+
+function importTags(value) {
+  if (value == null || value === "") return undefined;
+  return Array.isArray(value) ? value : String(value).split(/[;,]/);
+}
+
+// One row -> Prisma data for task.create (throws TaskInputError)
+async function rowToTask(data, user) {
+  const { data: fields } = await parseTaskInput(
+    {
+      title: data.title == null ? "" : String(data.title),
+      description: data.description,
+      priority: importPriority(data.priority),
+      dueAt: data.dueAt,
+      tags: importTags(data.tags),
+      assignee: data.assignee,
+    },
+    user,
+    { create: true }
+  );
+
+  const status = importStatus(data.status);
+  const blockedReason = data.blockedReason ? String(data.blockedReason).trim() : null;
+  if (status === "BLOCKED" && !blockedReason) throw new TaskInputError("blockedReason is required for BLOCKED tasks");
+
+  const text = (value) => (value != null && String(value).trim() !== "" ? String(value).trim() : null);
+  const externalId = text(data.externalId);
+  const exportedId = externalId ? null : text(data.id);
+
+  return {
+    ...fields,
+    userId: user.id,
+    status,
+    blockedReason: status === "BLOCKED" ? blockedReason : null,
+    source: exportedId ? EXPORT_SOURCE : text(data.source) || DEFAULT_SOURCE,
+    externalId: externalId || exportedId,
+  };
+}
+
+const dedupeKey = (source, externalId) => `${source}\u0000${externalId}`;
+
+/**
+ * Validates rows (see parseImportFile) and, unless dryRun, creates the tasks.
+ * Returns { dryRun, total, created, duplicates, errors, tasks }: tasks are the
+ * ones created (or that would be, in a dry run). Assignees are not notified.
+ */
+export async function importTasks(user, rows, { dryRun = true } = {}) {
+  const valid = [];
+  const duplicates = [];
+  const errors = [];
+
+  for (const { line, data } of rows) {
+    try {
+      valid.push({ line, task: await rowToTask(data, user) });
+    } catch (e) {
+      if (!(e instanceof TaskInputError)) throw e;
+      errors.push({ line, message: e.message });
+    }
+  }
+
+  // Tasks that already exist (same source + externalId, or the exported task
+  // itself) or repeat in the file
+  const externalIds = [...new Set(valid.map((v) => v.task.externalId).filter(Boolean))];
+  const exportedIds = valid.filter((v) => v.task.source === EXPORT_SOURCE).map((v) => v.task.externalId);
+  const existing = externalIds.length
+    ? await prisma.task.findMany({
+      where: { userId: user.id, OR: [{ externalId: { in: externalIds } }, { id: { in: exportedIds } }] },
+      select: { id: true, source: true, externalId: true },
+    })
+    : [];
+  const seen = new Set(existing.flatMap((t) => [
+    dedupeKey(t.source, t.externalId),
+    dedupeKey(EXPORT_SOURCE, t.id),
+  ]));
+
+  const toCreate = [];
+  for (const v of valid) {
+    const { source, externalId, title } = v.task;
+    if (externalId) {
+      const key = dedupeKey(source, externalId);
+      if (seen.has(key)) {
+        duplicates.push({ line: v.line, title, source, externalId });
+        continue;
+      }
+      seen.add(key);
+    }
+    toCreate.push(v);
+  }
+
+  let tasks = toCreate.map((v) => v.task);
+  if (!dryRun && tasks.length) {
+    try {
+      tasks = await prisma.$transaction(tasks.map((data) => prisma.task.create({ data })));
+    } catch (e) {
+      // Created by someone else since we checked: all or nothing, so nothing was written
+      if (e?.code !== "P2002") throw e;
+      throw new TaskInputError("Some rows were imported meanwhile by another request; nothing was created, run the import again");
+    }
+  }
+
+  return { dryRun, total: rows.length, created: tasks.length, duplicates, errors, tasks };
+}
@@ -0,0 +1,145 @@
+// Muëcy Ops — Task queries shared by commands, briefing and API
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { formatDue } from "./when.js";
+import { createNextOccurrence } from "./series.js";
+
+export const OPEN_STATUSES = ["PENDING", "DOING", "BLOCKED"];
+export const STATUSES = [...OPEN_STATUSES, "DONE"];
+
+const STATUS_ICONS = { DOING: "🔨", BLOCKED: "⛔", DONE: "✅" };
+
+export const TOP_ORDER = [{ priority: "asc" }, { createdAt: "asc" }];
+
+export function listTopTasks(userId, take = 10) {
+  return prisma.task.findMany({
+    where: { userId, status: { in: OPEN_STATUSES } },
+    orderBy: TOP_ORDER,
+    take,
+  });
+}
+
+/**
+ * Condiciones Prisma para "tareas asignadas a este usuario" en cualquier
+ * equipo: a él por nombre (assigneeId) o a un rol que tiene en ese equipo.
+ * Devuelve [] si no es miembro de ningún equipo.
+ */
+export async function assignedToConditions(userId) {
+  const memberships = await prisma.teamMember.findMany({ where: { userId } });
+  if (!memberships.length) return [];
+
+  return [
+    { assigneeId: { in: memberships.map((m) => m.id) } },
+    ...memberships
+      .filter((m) => m.role)
+      .map((m) => ({ userId: m.ownerId, assignee: m.role, assigneeId: null })),
+  ];
+}
+
+/**
+ * Busca una tarea por referencia:
+ * - "3"      -> posición en el top actual
+ * - "fillers" -> primera tarea (en `statuses`) cuyo título contenga el texto,
+ *               propia o asignada al usuario
+ * Devuelve { task } o { error } con un mensaje listo para el usuario.
+ */
+export async function findTask(userId, ref, { statuses = OPEN_STATUSES, orderBy = { createdAt: "asc" } } = {}) {
+  const payload = (ref || "").trim();
+
+  const n = Number(payload);
+  if (Number.isInteger(n) && n > 0) {
+    const tasks = await listTopTasks(userId);
+    const task = tasks[n - 1];
+    if (!task) return { error: `❌ No existe la tarea #${n} en el top actual.` };
+    return { task };
+  }
+
+  const assigned = await assignedToConditions(userId);
+  const task = await prisma.task.findFirst({
+    where: {
+      OR: [{ userId }, ...assigned],
+      status: { in: statuses },
+      title: { contains: payload, mode: "insensitive" },
+    },
+    orderBy,
+  });
+
+  if (!task) return { error: `❌ No encontré tarea que coincida con: "${payload}"` };
+  return { task };
+}
+
+/**
+ * Tarea por id si el usuario puede tocarla (suya o asignada a él); si no, null.
+ * Para los botones de Telegram, que llevan el id y no la posición.
+ */
+export async function findAccessibleTask(userId, id) {
+  const assigned = await assignedToConditions(userId);
+  return prisma.task.findFirst({ where: { id, OR: [{ userId }, ...assigned] } });
+}
+
+/**
+ * Cambia el estado de una tarea y lo registra en TaskHistory.
+ * actor: { userId?, label } — quién hizo el cambio ("Ana", "gmail", ...)
+ * BLOCKED requiere reason; salir de BLOCKED limpia blockedReason.
+ * DONE en una tarea recurrente crea la siguiente ocurrencia
+ * (devuelta en updated.nextOccurrence).
+ */
+export async function changeTaskStatus(task, status, { actor, reason = null } = {}) {
+  if (!STATUSES.includes(status)) throw new Error(`Estado inválido: ${status}`);
+  if (status === "BLOCKED" && !reason) throw new Error("Falta el motivo del bloqueo.");
+
+  const [updated] = await prisma.$transaction([
+    prisma.task.update({
+      where: { id: task.id },
+      data: { status, blockedReason: status === "BLOCKED" ? reason : null },
+    }),
+    prisma.taskHistory.create({
+      data: {
+        taskId: task.id,
+        fromStatus: task.status,
+        toStatus: status,
+        note: reason,
+        actorId: actor?.userId || null,
+        actor: actor?.label || "sistema",
+      },
+    }),
+  ]);
+
+  if (status === "DONE" && task.seriesId) {
+    updated.nextOccurrence = await createNextOccurrence(task);
+  }
+
+  return updated;
+}
+
+export function listTaskHistory(taskId) {
+  return prisma.taskHistory.findMany({
+    where: { taskId },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+// Ficha de una tarea con su historial (historial: y el botón 🔎)
+export function formatTaskDetails(task, history, prefs = {}) {
+  const when = (d) => DateTime.fromJSDate(d).setZone(prefs.zone).setLocale(prefs.locale).toFormat("d LLL HH:mm");
+  return [
+    `📜 ${formatTaskSummary(task, prefs)}`,
+    `• ${when(task.createdAt)} creada${task.source ? ` (${task.source})` : ""}`,
+    ...history.map(
+      (h) => `• ${when(h.createdAt)} ${h.fromStatus || "—"} → ${h.toStatus} · ${h.actor}${h.note ? ` — ${h.note}` : ""}`
+    ),
+  ].join("\n");
+}
+
+// "[P1] 🔨 título — 📅 vie 23 oct 🔁"; prefs = { zone, locale } (see userPrefs)
+export function formatTaskSummary(t, prefs = {}) {
+  const icon = STATUS_ICONS[t.status] ? `${STATUS_ICONS[t.status]} ` : "";
+  const blocked = t.status === "BLOCKED" && t.blockedReason ? ` (${t.blockedReason})` : "";
+  const due = t.dueAt ? ` — 📅 ${formatDue(t.dueAt, prefs)}` : "";
+  const repeats = t.seriesId ? " 🔁" : "";
+  return `[P${t.priority}] ${icon}${t.title}${blocked}${due}${repeats}`;
+}
+
+export function formatTaskLine(t, i, prefs = {}) {
+  return `${i + 1}) ${formatTaskSummary(t, prefs)}`;
+}
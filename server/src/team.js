@@ -0,0 +1,107 @@
+// Muëcy Ops — Team members and task assignment
+//
+// Each User owns a team (TeamMember rows). A task can be assigned to a
+// person (Task.assigneeId) or to a role (Task.assignee, e.g. "Producción").
+// Members link their Telegram with the join code they get when added
+// ("soy: K7F3Q2"), so they receive assignments and can use "mis tareas".
+import crypto from "node:crypto";
+import { prisma } from "./db.js";
+import { OPEN_STATUSES, TOP_ORDER, assignedToConditions, formatTaskSummary } from "./tasks.js";
+import { telegramSend } from "./telegram.js";
+import { normalize } from "./when.js";
+
+export const ROLES = ["Producción", "Instalación", "Oficina"];
+
+export function newJoinCode() {
+  return crypto.randomBytes(4).toString("base64url").replace(/[-_]/g, "X").slice(0, 6).toUpperCase();
+}
+
+export function listTeam(ownerId) {
+  return prisma.teamMember.findMany({
+    where: { ownerId },
+    orderBy: [{ role: "asc" }, { name: "asc" }],
+  });
+}
+
+export async function findMemberByName(ownerId, name) {
+  const want = normalize(name);
+  const team = await listTeam(ownerId);
+  return team.find((m) => normalize(m.name) === want) || null;
+}
+
+// "produccion" -> "Producción" (known roles or any role already on the team)
+function canonicalRole(text, team) {
+  const want = normalize(text);
+  const roles = [...ROLES, ...team.map((m) => m.role).filter(Boolean)];
+  return roles.find((r) => normalize(r) === want) || null;
+}
+
+/**
+ * "Carlos" -> { assigneeId, member }; "Producción" -> { assignee: "Producción", members }
+ * Anything else is kept as a free-text role (legacy behaviour).
+ */
+export async function resolveAssignee(ownerId, text) {
+  if (!text) return { assigneeId: null, assignee: null, notify: [] };
+
+  const team = await listTeam(ownerId);
+  const want = normalize(text);
+
+  const member = team.find((m) => normalize(m.name) === want);
+  if (member) return { assigneeId: member.id, assignee: member.role || null, member, notify: [member] };
+
+  const role = canonicalRole(text, team);
+  if (role) {
+    return { assigneeId: null, assignee: role, notify: team.filter((m) => m.role === role) };
+  }
+
+  return { assigneeId: null, assignee: text, notify: [] };
+}
+
+// Telegram notice to each assignee that has linked their chat
+export async function notifyAssignees(task, members, { by, prefs } = {}) {
+  const text = [
+    `📌 ${by || "Muëcy Ops"} te asignó:`,
+    formatTaskSummary(task, prefs),
+    "",
+    "Ver: mis tareas",
+  ].join("\n");
+
+  let sent = 0;
+  for (const m of members) {
+    if (!m.telegramChatId) continue;
+    await telegramSend(m.telegramChatId, text);
+    sent++;
+  }
+  return sent;
+}
+
+/**
+ * Links the Telegram user behind `user` to the member with this join code.
+ */
+export async function linkMember(code, user, chatId) {
+  const member = await prisma.teamMember.findUnique({ where: { joinCode: code.trim().toUpperCase() } });
+  if (!member) return null;
+
+  return prisma.teamMember.update({
+    where: { id: member.id },
+    data: { userId: user.id, telegramChatId: String(chatId), joinCode: null },
+  });
+}
+
+/**
+ * Open tasks assigned to this user in any team: to them by name, or to a
+ * role they hold in that team.
+ */
+export async function listMyTasks(user, take = 20) {
+  const assigned = await assignedToConditions(user.id);
+  if (!assigned.length) return [];
+
+  return prisma.task.findMany({
+    where: {
+      status: { in: OPEN_STATUSES },
+      OR: assigned,
+    },
+    orderBy: TOP_ORDER,
+    take,
+  });
+}
@@ -0,0 +1,118 @@
+// Muëcy Ops — Team commands (equipo, soy, mis tareas)
+import { prisma } from "./db.js";
+import { prefix, exact, splitParts } from "./parse.js";
+import { formatTaskLine } from "./tasks.js";
+import { ROLES, newJoinCode, listTeam, findMemberByName, linkMember, listMyTasks } from "./team.js";
+import { userPrefs } from "./users.js";
+import { normalize } from "./when.js";
+
+function formatMember(m) {
+  const role = m.role ? ` — ${m.role}` : "";
+  const tg = m.telegramChatId ? "📱" : `⏳ soy: ${m.joinCode}`;
+  return `• ${m.name}${role} ${tg}`;
+}
+
+export const teamCommands = [
+  {
+    name: "equipo borrar",
+    section: "Equipo",
+    help: ["equipo borrar: Carlos"],
+    parse: prefix("equipo borrar", "team remove"),
+    async run(ctx, { payload }) {
+      const member = payload ? await findMemberByName(ctx.user.id, payload) : null;
+      if (!member) {
+        await ctx.reply(`❌ No hay nadie llamado "${payload}" en tu equipo.`);
+        return;
+      }
+
+      // Sus tareas quedan sin persona (onDelete: SetNull), pero conservan el rol
+      await prisma.teamMember.delete({ where: { id: member.id } });
+      await ctx.reply(`🗑️ ${member.name} salió del equipo.`);
+    },
+  },
+
+  {
+    name: "equipo",
+    section: "Equipo",
+    help: [
+      "equipo",
+      `equipo: Carlos / Producción   (roles: ${ROLES.join(", ")})`,
+    ],
+    parse: prefix("equipo", "team"),
+    async run(ctx, { payload }) {
+      if (!payload) {
+        const team = await listTeam(ctx.user.id);
+        await ctx.reply(
+          team.length
+            ? ["👥 Equipo:", ...team.map(formatMember), "", "Asignar: tarea: cortar fillers / Carlos"].join("\n")
+            : "👥 Equipo vacío. Agrega: equipo: Carlos / Producción"
+        );
+        return;
+      }
+
+      const [name, role] = splitParts(payload);
+      if (await findMemberByName(ctx.user.id, name)) {
+        await ctx.reply(`ℹ️ ${name} ya está en tu equipo. Ver: equipo`);
+        return;
+      }
+
+      const canonical = role ? ROLES.find((r) => normalize(r) === normalize(role)) || role : null;
+      const member = await prisma.teamMember.create({
+        data: { ownerId: ctx.user.id, name, role: canonical, joinCode: newJoinCode() },
+      });
+
+      await ctx.reply(
+        [
+          `✅ ${member.name} agregado${member.role ? ` (${member.role})` : ""}`,
+          "Para recibir sus tareas, que le escriba al bot:",
+          `soy: ${member.joinCode}`,
+        ].join("\n")
+      );
+    },
+  },
+
+  {
+    name: "soy",
+    section: "Equipo",
+    help: ["soy: K7F3Q2   (código que te dio tu jefe)"],
+    parse: prefix("soy", "join"),
+    async run(ctx, { payload }) {
+      if (!payload) {
+        await ctx.reply("⚠️ Usa: soy: CÓDIGO");
+        return;
+      }
+
+      const member = await linkMember(payload, ctx.user, ctx.chatId);
+      if (!member) {
+        await ctx.reply("❌ Código inválido o ya usado.");
+        return;
+      }
+
+      await ctx.reply(`✅ Listo, ${member.name}. Te llegarán las tareas que te asignen.\nVer: mis tareas`);
+    },
+  },
+
+  {
+    name: "mis tareas",
+    section: "Equipo",
+    help: ["mis tareas   (asignadas a ti)"],
+    parse: exact("mis tareas", "/mine", "mine"),
+    async run(ctx) {
+      const tasks = await listMyTasks(ctx.user);
+      if (!tasks.length) {
+        await ctx.reply("No tienes tareas asignadas.");
+        return;
+      }
+
+      const prefs = userPrefs(ctx.user);
+      await ctx.reply(
+        [
+          "📋 Tus tareas:",
+          ...tasks.map((t, i) => formatTaskLine(t, i, prefs)),
+          "",
+          "Actualizar: doing: texto / done: texto",
+        ].join("\n")
+      );
+    },
+  },
+];
@@ -0,0 +1,54 @@
+// Muëcy Ops — Telegram Bot API (fetch, sin dependencias)
+
+export async function telegramCall(method, body) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) return { ok: false, skipped: true };
+
+  const r = await fetch(`https://api.telegram.org/bot${token}/${method}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  return { ok: r.ok, status: r.status, data };
+}
+
+export async function telegramSend(chatId, text, extra = {}) {
+  if (!chatId) return { ok: false, skipped: true };
+  return telegramCall("sendMessage", { chat_id: chatId, text, ...extra });
+}
+
+// Envía un archivo (multipart); file = { filename, contentType, body }
+export async function telegramSendDocument(chatId, file, caption) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token || !chatId) return { ok: false, skipped: true };
+
+  const form = new FormData();
+  form.append("chat_id", String(chatId));
+  form.append("document", new Blob([file.body], { type: file.contentType }), file.filename);
+  if (caption) form.append("caption", caption);
+
+  const r = await fetch(`https://api.telegram.org/bot${token}/sendDocument`, { method: "POST", body: form });
+  const data = await r.json().catch(() => ({}));
+  return { ok: r.ok, status: r.status, data };
+}
+
+// Reescribe un mensaje ya enviado (p. ej. después de pulsar un botón)
+export function telegramEdit(chatId, messageId, text, extra = {}) {
+  return telegramCall("editMessageText", { chat_id: chatId, message_id: messageId, text, ...extra });
+}
+
+// Quita el "cargando" del botón; text = aviso breve opcional
+export function telegramAnswerCallback(callbackQueryId, text) {
+  return telegramCall("answerCallbackQuery", { callback_query_id: callbackQueryId, ...(text && { text }) });
+}
+
+// Points Telegram at our webhook; it will send `secret` in X-Telegram-Bot-Api-Secret-Token
+export function telegramSetWebhook(url, secret) {
+  return telegramCall("setWebhook", {
+    url,
+    secret_token: secret,
+    allowed_updates: ["message", "callback_query"],
+  });
+}
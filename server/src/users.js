@@ -0,0 +1,102 @@
+// Muëcy Ops — Users
+//
+// Each Telegram user gets (or links) their own User row. The legacy
+// OWNER_EMAIL user is kept: the Telegram account OWNER_TELEGRAM_USER_ID (or
+// TELEGRAM_CHAT_ID, when that is a private chat) is linked to it so existing
+// tasks stay theirs.
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { DEFAULT_TZ } from "./when.js";
+
+/* =========================
+OWNER (legacy single-user)
+========================= */
+export function ownerEmail() {
+  return process.env.OWNER_EMAIL || "owner@muecy.local";
+}
+
+export async function ensureOwner() {
+  const email = ownerEmail();
+  let user = await prisma.user.findUnique({ where: { email } });
+  if (!user) user = await prisma.user.create({ data: { email } });
+  return user;
+}
+
+// Only the sender counts: in a group TELEGRAM_CHAT_ID is everyone in it
+function isOwnerTelegram(fromId, chatId) {
+  if (fromId === process.env.OWNER_TELEGRAM_USER_ID) return true;
+  return chatId === fromId && fromId === process.env.TELEGRAM_CHAT_ID;
+}
+
+/* =========================
+TELEGRAM USERS
+========================= */
+
+/**
+ * Finds or creates the User for a Telegram sender.
+ * Private chats (chatId === fromId) become the user's notification chat; a
+ * group never does (reminders and briefings would go to everyone in it).
+ */
+export async function resolveTelegramUser({ fromId, chatId, name }) {
+  const tgId = String(fromId || chatId);
+  const chat = String(chatId);
+  const isPrivate = chat === tgId;
+
+  let user = await prisma.user.findUnique({ where: { telegramUserId: tgId } });
+
+  if (!user && isOwnerTelegram(tgId, chat)) {
+    const owner = await ensureOwner();
+    if (!owner.telegramUserId) {
+      user = await prisma.user.update({
+        where: { id: owner.id },
+        data: { telegramUserId: tgId, telegramChatId: isPrivate ? chat : null, name: owner.name || name || null },
+      });
+    }
+  }
+
+  if (!user) {
+    user = await prisma.user.create({
+      data: { telegramUserId: tgId, telegramChatId: isPrivate ? chat : null, name: name || null },
+    });
+  }
+
+  if (isPrivate && user.telegramChatId !== chat) {
+    user = await prisma.user.update({ where: { id: user.id }, data: { telegramChatId: chat } });
+  }
+
+  return user;
+}
+
+// Chat to notify for a user (legacy owner falls back to TELEGRAM_CHAT_ID)
+export function chatIdFor(user) {
+  if (user?.telegramChatId) return user.telegramChatId;
+  if (user?.email && user.email === ownerEmail()) return process.env.TELEGRAM_CHAT_ID || null;
+  return null;
+}
+
+/* =========================
+PREFERENCES
+========================= */
+
+// { zone, locale } for when.js / tasks.js formatting
+export function userPrefs(user) {
+  return { zone: user?.timezone || DEFAULT_TZ, locale: user?.locale || "es" };
+}
+
+// Current time in the user's zone
+export function userNow(user) {
+  return DateTime.now().setZone(userPrefs(user).zone);
+}
+
+// Users with Google connected (Gmail sync)
+export function listConnectedUsers() {
+  return prisma.user.findMany({ where: { refreshToken: { not: null } } });
+}
+
+// Users we can talk to (briefing, reminders)
+export async function listNotifiableUsers() {
+  const users = await prisma.user.findMany({
+    where: { OR: [{ telegramChatId: { not: null } }, { email: ownerEmail() }] },
+  });
+  return users.filter((u) => chatIdFor(u));
+}
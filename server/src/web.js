@@ -0,0 +1,242 @@
+// Muëcy Ops — Web dashboard (/app)
+//
+// Login: "web" in Telegram sends a signed, single-use link (valid 15 min,
+// only the latest one works) to /app/login?t=...; it becomes a signed
+// session cookie (30 days). No passwords are stored.
+//
+//   GET  /app             kanban board (filters: source, priority, assignee)
+//   POST /app/tasks       quick add (form)
+//   POST /app/tasks/:id   inline edit / drag to change status (JSON)
+//   GET  /app/calendar    week view: tasks by dueAt + Google Calendar events
+import crypto from "node:crypto";
+import express from "express";
+import { DateTime } from "luxon";
+import { prisma } from "./db.js";
+import { sign, verify } from "./signing.js";
+import { TOP_ORDER, OPEN_STATUSES } from "./tasks.js";
+import { TaskInputError, createTask, updateTask } from "./taskEdit.js";
+import { listTeam } from "./team.js";
+import { listEventsBetween } from "./calendar.js";
+import { userPrefs } from "./users.js";
+import { BOARD_COLUMNS, esc, layout, loginPage, boardPage, calendarPage } from "./webViews.js";
+
+const COOKIE = "mops_session";
+const SESSION_DAYS = 30;
+const DONE_DAYS = 14; // DONE column only shows recent tasks
+
+export const webApp = express.Router();
+webApp.use(express.urlencoded({ extended: false }));
+
+// Link for the "web" Telegram command; its nonce makes it single use
+export async function webLoginUrl(user) {
+  const base = process.env.APP_BASE_URL;
+  if (!base) return null;
+
+  const nonce = crypto.randomBytes(12).toString("base64url");
+  await prisma.user.update({ where: { id: user.id }, data: { webLoginNonce: nonce } });
+  return `${base}/app/login?t=${encodeURIComponent(sign({ uid: user.id, kind: "web-login", nonce }, 15 * 60))}`;
+}
+
+/* =========================
+SESSION
+========================= */
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return decodeURIComponent(v.join("="));
+  }
+  return null;
+}
+
+function setSession(req, res, user) {
+  const token = sign({ uid: user.id, kind: "web" }, SESSION_DAYS * 24 * 3600);
+  res.cookie(COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.secure,
+    maxAge: SESSION_DAYS * 24 * 3600 * 1000,
+    path: "/app",
+  });
+}
+
+async function requireSession(req, res, next) {
+  try {
+    const session = verify(readCookie(req, COOKIE));
+    const user = session?.kind === "web"
+      ? await prisma.user.findUnique({ where: { id: session.uid } })
+      : null;
+    if (!user) return res.status(401).send(loginPage());
+    req.user = user;
+    return next();
+  } catch (e) {
+    return next(e);
+  }
+}
+
+webApp.get("/login", async (req, res, next) => {
+  try {
+    const login = verify(req.query.t);
+    // Use up the nonce: the same link can't log in twice
+    const used = login?.kind === "web-login" && login.nonce
+      ? await prisma.user.updateMany({
+        where: { id: login.uid, webLoginNonce: login.nonce },
+        data: { webLoginNonce: null },
+      })
+      : null;
+    const user = used?.count ? await prisma.user.findUnique({ where: { id: login.uid } }) : null;
+    if (!user) return res.status(400).send(loginPage("Link inválido, vencido o ya usado. Pide otro con: web"));
+
+    setSession(req, res, user);
+    return res.redirect("/app");
+  } catch (e) {
+    return next(e);
+  }
+});
+
+webApp.get("/logout", (req, res) => {
+  res.clearCookie(COOKIE, { path: "/app" });
+  res.send(loginPage("Sesión cerrada."));
+});
+
+webApp.use(requireSession);
+
+/* =========================
+BOARD
+========================= */
+
+// "m:<TeamMember.id>" = a person, "r:<role>" = a role
+function assigneeWhere(value) {
+  if (!value) return {};
+  if (value.startsWith("m:")) return { assigneeId: value.slice(2) };
+  if (value.startsWith("r:")) return { assignee: value.slice(2) };
+  return {};
+}
+
+webApp.get("/", async (req, res, next) => {
+  try {
+    const user = req.user;
+    const prefs = userPrefs(user);
+    const filters = {
+      source: req.query.source ? String(req.query.source) : "",
+      priority: [1, 2, 3].includes(Number(req.query.priority)) ? Number(req.query.priority) : "",
+      assignee: req.query.assignee ? String(req.query.assignee) : "",
+    };
+
+    const where = {
+      userId: user.id,
+      ...(filters.source && { source: filters.source }),
+      ...(filters.priority && { priority: filters.priority }),
+      ...assigneeWhere(filters.assignee),
+    };
+    const doneSince = DateTime.now().minus({ days: DONE_DAYS }).toJSDate();
+
+    const [open, done, sources, roles, team] = await Promise.all([
+      prisma.task.findMany({
+        where: { ...where, status: { in: OPEN_STATUSES } },
+        orderBy: TOP_ORDER,
+        include: { assignedTo: true },
+      }),
+      prisma.task.findMany({
+        where: { ...where, status: "DONE", updatedAt: { gte: doneSince } },
+        orderBy: { updatedAt: "desc" },
+        include: { assignedTo: true },
+        take: 50,
+      }),
+      prisma.task.findMany({ where: { userId: user.id }, distinct: ["source"], select: { source: true } }),
+      prisma.task.findMany({ where: { userId: user.id, assignee: { not: null } }, distinct: ["assignee"], select: { assignee: true } }),
+      listTeam(user.id),
+    ]);
+
+    const byStatus = Object.fromEntries(BOARD_COLUMNS.map((c) => [c.status, []]));
+    for (const t of [...open, ...done]) byStatus[t.status]?.push(t);
+
+    const options = {
+      sources: sources.map((s) => s.source).filter(Boolean).sort(),
+      assignees: [
+        ...team.map((m) => ({ value: `m:${m.id}`, label: `👤 ${m.name}` })),
+        ...roles.map((r) => ({ value: `r:${r.assignee}`, label: `👥 ${r.assignee}` })),
+      ],
+    };
+
+    res.send(boardPage({ user, prefs, byStatus, filters, options }));
+  } catch (e) {
+    next(e);
+  }
+});
+
+webApp.post("/tasks", async (req, res, next) => {
+  try {
+    await createTask(req.body, req.user, { source: "web" });
+    res.redirect("/app");
+  } catch (e) {
+    if (e instanceof TaskInputError) {
+      return res.status(400).send(layout("Error", `<p class="note">${esc(e.message)}</p><a href="/app">Volver</a>`, { user: req.user }));
+    }
+    next(e);
+  }
+});
+
+webApp.post("/tasks/:id", async (req, res) => {
+  // JSON only: a cross-site form can't send it, so this doubles as CSRF protection
+  if (!req.is("application/json")) return res.status(415).json({ ok: false, message: "JSON only" });
+
+  try {
+    const current = await prisma.task.findFirst({ where: { id: req.params.id, userId: req.user.id } });
+    if (!current) return res.status(404).json({ ok: false, message: "Tarea no encontrada" });
+
+    const actor = { userId: req.user.id, label: `${req.user.name || "web"} (web)` };
+    const task = await updateTask(current, req.body, { user: req.user, actor });
+    return res.json({ ok: true, task });
+  } catch (e) {
+    if (e instanceof TaskInputError) return res.status(400).json({ ok: false, message: e.message });
+    console.error("Web task update error:", e);
+    return res.status(500).json({ ok: false, message: "Error" });
+  }
+});
+
+/* =========================
+CALENDAR
+========================= */
+
+webApp.get("/calendar", async (req, res, next) => {
+  try {
+    const user = req.user;
+    const prefs = userPrefs(user);
+    const week = parseInt(req.query.week, 10) || 0;
+
+    const first = DateTime.now().setZone(prefs.zone).startOf("week").plus({ weeks: week });
+    const last = first.plus({ days: 7 });
+
+    let events = [];
+    let note = null;
+    try {
+      events = await listEventsBetween(user, first.toJSDate(), last.toJSDate());
+    } catch (e) {
+      if (e?.code !== "not_connected") throw e;
+      note = "Google no está conectado: solo se muestran tareas. Escribe 'conectar' en Telegram.";
+    }
+
+    const tasks = await prisma.task.findMany({
+      where: { userId: user.id, dueAt: { gte: first.toJSDate(), lt: last.toJSDate() } },
+      orderBy: [{ dueAt: "asc" }, ...TOP_ORDER],
+    });
+
+    const days = Array.from({ length: 7 }, (_, i) => {
+      const day = first.plus({ days: i });
+      const next = day.plus({ days: 1 });
+      return {
+        day,
+        events: events.filter((e) => {
+          const s = DateTime.fromISO(e.start, { zone: prefs.zone });
+          return s >= day && s < next;
+        }),
+        tasks: tasks.filter((t) => t.dueAt >= day.toJSDate() && t.dueAt < next.toJSDate()),
+      };
+    });
+
+    res.send(calendarPage({ user, prefs, days, week, note }));
+  } catch (e) {
+    next(e);
+  }
+});
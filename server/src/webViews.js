@@ -0,0 +1,184 @@
+// Muëcy Ops — Web dashboard views (server-rendered HTML, no build step)
+import { DateTime } from "luxon";
+import { formatDue } from "./when.js";
+
+export const BOARD_COLUMNS = [
+  { status: "PENDING", label: "Pendiente" },
+  { status: "DOING", label: "🔨 Haciendo" },
+  { status: "BLOCKED", label: "⛔ Bloqueada" },
+  { status: "DONE", label: "✅ Hecha" },
+];
+
+export function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+const CSS = `
+*{box-sizing:border-box}body{margin:0;font:14px/1.4 system-ui,sans-serif;background:#f4f4f5;color:#18181b}
+header{display:flex;gap:16px;align-items:center;padding:10px 16px;background:#18181b;color:#fff}
+header a{color:#fff;text-decoration:none}header .sp{flex:1}
+main{padding:16px}.note{padding:8px 12px;background:#fef3c7;border-radius:6px;margin-bottom:12px}
+form.filters,form.add{display:flex;gap:8px;flex-wrap:wrap;margin-bottom:12px}
+input,select,button{font:inherit;padding:4px 8px}
+.board{display:grid;grid-template-columns:repeat(4,1fr);gap:12px}
+.col{background:#e4e4e7;border-radius:8px;padding:8px;min-height:200px}.col.over{background:#d4d4d8}
+.col h2{font-size:14px;margin:4px 4px 8px}
+.card{background:#fff;border-radius:6px;padding:8px;margin-bottom:8px;box-shadow:0 1px 2px #0002;cursor:grab}
+.card .meta{color:#71717a;font-size:12px}.card form{display:none;margin-top:6px;gap:4px;flex-direction:column}
+.card.editing form{display:flex}.p1{border-left:4px solid #dc2626}.p2{border-left:4px solid #f59e0b}.p3{border-left:4px solid #a1a1aa}
+.week{display:grid;grid-template-columns:repeat(7,1fr);gap:8px}.day{background:#fff;border-radius:8px;padding:8px;min-height:160px}
+.day h3{font-size:13px;margin:0 0 6px}.day.today{outline:2px solid #2563eb}
+.ev{background:#dbeafe;border-radius:4px;padding:2px 6px;margin-bottom:4px;font-size:12px}
+.tk{background:#fef9c3;border-radius:4px;padding:2px 6px;margin-bottom:4px;font-size:12px}
+`;
+
+export function layout(title, body, { user } = {}) {
+  const nav = user
+    ? `<a href="/app">Tablero</a><a href="/app/calendar">Calendario</a><span class="sp"></span>
+       <span>${esc(user.name || user.email || "")}</span><a href="/app/logout">Salir</a>`
+    : "";
+  return `<!doctype html><html lang="es"><head><meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1"><title>${esc(title)} · Muëcy Ops</title>
+<style>${CSS}</style></head><body><header><strong>Muëcy Ops</strong>${nav}</header><main>${body}</main></body></html>`;
+}
+
+export function loginPage(message) {
+  return layout(
+    "Entrar",
+    `${message ? `<p class="note">${esc(message)}</p>` : ""}
+<p>Para entrar, escribe <code>web</code> al bot de Telegram y abre el link que te envía (válido 15 min).</p>`
+  );
+}
+
+/* =========================
+BOARD
+========================= */
+
+function option(value, label, selected) {
+  return `<option value="${esc(value)}"${String(selected ?? "") === String(value) ? " selected" : ""}>${esc(label)}</option>`;
+}
+
+function assigneeLabel(t) {
+  return t.assignedTo?.name ? `👤 ${t.assignedTo.name}` : t.assignee ? `👥 ${t.assignee}` : "";
+}
+
+function card(t, prefs) {
+  const due = t.dueAt ? DateTime.fromJSDate(t.dueAt).setZone(prefs.zone).toFormat("yyyy-MM-dd'T'HH:mm") : "";
+  const meta = [
+    `P${t.priority}`,
+    t.dueAt ? `📅 ${formatDue(t.dueAt, prefs)}` : "",
+    assigneeLabel(t),
+    t.source && t.source !== "manual" ? t.source : "",
+    t.status === "BLOCKED" && t.blockedReason ? `⛔ ${t.blockedReason}` : "",
+  ].filter(Boolean);
+
+  return `<div class="card p${t.priority}" draggable="true" data-id="${esc(t.id)}">
+  <div class="title">${esc(t.title)}</div>
+  <div class="meta">${meta.map(esc).join(" · ")} <a href="#" class="edit">editar</a></div>
+  <form>
+    <input name="title" value="${esc(t.title)}" required>
+    <select name="priority">${[1, 2, 3].map((p) => option(p, `P${p}`, t.priority)).join("")}</select>
+    <input name="dueAt" type="datetime-local" value="${esc(due)}">
+    <input name="assignee" placeholder="Persona o rol" value="${esc(t.assignedTo?.name || t.assignee || "")}">
+    <button>Guardar</button>
+  </form>
+</div>`;
+}
+
+// Drag & drop between columns and inline edit; both POST JSON to /app/tasks/:id
+const BOARD_JS = `
+const save = async (id, body) => {
+  const r = await fetch("/app/tasks/" + id, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+  const j = await r.json().catch(() => ({}));
+  if (!r.ok) { alert(j.message || "Error"); return false; }
+  location.reload();
+  return true;
+};
+document.querySelectorAll(".card").forEach((c) => {
+  c.addEventListener("dragstart", (e) => e.dataTransfer.setData("text/plain", c.dataset.id));
+  c.querySelector(".edit").addEventListener("click", (e) => { e.preventDefault(); c.classList.toggle("editing"); });
+  c.querySelector("form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const f = new FormData(e.target);
+    const due = f.get("dueAt");
+    save(c.dataset.id, {
+      title: f.get("title"),
+      priority: Number(f.get("priority")),
+      // The picker shows the due time in the user's zone; send it without an
+      // offset so the server reads it there, not in the browser's zone.
+      dueAt: due || null,
+      assignee: f.get("assignee") || null,
+    });
+  });
+});
+document.querySelectorAll(".col").forEach((col) => {
+  col.addEventListener("dragover", (e) => { e.preventDefault(); col.classList.add("over"); });
+  col.addEventListener("dragleave", () => col.classList.remove("over"));
+  col.addEventListener("drop", (e) => {
+    e.preventDefault();
+    col.classList.remove("over");
+    const id = e.dataTransfer.getData("text/plain");
+    const status = col.dataset.status;
+    let blockedReason;
+    if (status === "BLOCKED") {
+      blockedReason = prompt("Motivo del bloqueo:");
+      if (!blockedReason) return;
+    }
+    save(id, { status, blockedReason });
+  });
+});
+`;
+
+/**
+ * tasks: grouped by status; filters: current query; options: { sources, assignees }
+ */
+export function boardPage({ user, prefs, byStatus, filters, options }) {
+  const filterForm = `<form class="filters" method="get">
+  <select name="source">${option("", "Origen: todos", filters.source)}${options.sources.map((s) => option(s, s, filters.source)).join("")}</select>
+  <select name="priority">${option("", "Prioridad: todas", filters.priority)}${[1, 2, 3].map((p) => option(p, `P${p}`, filters.priority)).join("")}</select>
+  <select name="assignee">${option("", "Asignada: todos", filters.assignee)}${options.assignees.map((a) => option(a.value, a.label, filters.assignee)).join("")}</select>
+  <button>Filtrar</button> <a href="/app">limpiar</a>
+</form>`;
+
+  const addForm = `<form class="add" method="post" action="/app/tasks">
+  <input name="title" placeholder="Nueva tarea" required size="40">
+  <select name="priority">${[1, 2, 3].map((p) => option(p, `P${p}`, 2)).join("")}</select>
+  <input name="dueAt" placeholder="viernes / 2026-03-15">
+  <input name="assignee" placeholder="Persona o rol">
+  <button>Agregar</button>
+</form>`;
+
+  const board = BOARD_COLUMNS.map(
+    (c) => `<section class="col" data-status="${c.status}"><h2>${c.label} (${byStatus[c.status].length})</h2>
+${byStatus[c.status].map((t) => card(t, prefs)).join("\n")}</section>`
+  ).join("\n");
+
+  return layout("Tablero", `${filterForm}${addForm}<div class="board">${board}</div><script>${BOARD_JS}</script>`, { user });
+}
+
+/* =========================
+CALENDAR
+========================= */
+
+/**
+ * Week view: days = [{ day (DateTime), events, tasks }]
+ */
+export function calendarPage({ user, prefs, days, week, note }) {
+  const today = DateTime.now().setZone(prefs.zone).toISODate();
+  const hhmm = (iso) => DateTime.fromISO(iso).setZone(prefs.zone).toFormat("HH:mm");
+
+  const cols = days
+    .map(({ day, events, tasks }) => {
+      const evs = events.map(
+        (e) => `<div class="ev">${e.allDay ? "Todo el día" : hhmm(e.start)} ${
+          e.htmlLink ? `<a href="${esc(e.htmlLink)}" target="_blank">${esc(e.summary || "(sin título)")}</a>` : esc(e.summary || "(sin título)")
+        }</div>`
+      );
+      const tks = tasks.map((t) => `<div class="tk">📌 [P${t.priority}] ${esc(t.title)}${t.status === "DONE" ? " ✅" : ""}</div>`);
+      return `<div class="day${day.toISODate() === today ? " today" : ""}"><h3>${esc(day.setLocale(prefs.locale).toFormat("ccc d LLL"))}</h3>${[...evs, ...tks].join("") || "—"}</div>`;
+    })
+    .join("\n");
+
+  const nav = `<p><a href="?week=${week - 1}">← anterior</a> · <a href="?week=0">esta semana</a> · <a href="?week=${week + 1}">siguiente →</a></p>`;
+  return layout("Calendario", `${note ? `<p class="note">${esc(note)}</p>` : ""}${nav}<div class="week">${cols}</div>`, { user });
+}
@@ -0,0 +1,280 @@
+// Muëcy Ops — Date/time parsing (español / English)
+//
+// One parser for every command ("event:", "tarea:", ...). Everything is
+// computed with Luxon in the user's zone, so DST changes are handled and
+// "2026" is never read as an hour.
+//
+//   Days:      hoy, mañana, pasado mañana, viernes, next tuesday,
+//              próximo lunes, en 3 días, in 2 weeks, fin de mes, 2026-03-15
+//              ("viernes": the coming one, today included; "próximo lunes":
+//              the coming one after today; "next tuesday": next week's)
+//   Times:     9pm, 9:30 am, 15:00, 15h, a las 15:30, mediodía, noon
+//              ("a las 3" / "at 5" without am/pm: 1-7 are afternoon)
+//   Ranges:    3-5pm, 15:00-16:30, de 3 a 5pm, from 9am to 11am
+//   Relative:  en 2 horas, in 30 min, dentro de una hora
+//
+// All functions take { zone, now } so results are deterministic in tests.
+import { DateTime } from "luxon";
+
+export const DEFAULT_TZ = "America/New_York";
+
+export const WEEKDAYS = {
+  lunes: 1, monday: 1, mon: 1, lun: 1,
+  martes: 2, tuesday: 2, tue: 2,
+  miercoles: 3, wednesday: 3, wed: 3, mie: 3,
+  jueves: 4, thursday: 4, thu: 4, jue: 4,
+  viernes: 5, friday: 5, fri: 5, vie: 5,
+  sabado: 6, saturday: 6, sat: 6, sab: 6,
+  domingo: 7, sunday: 7, sun: 7, dom: 7,
+};
+
+const UNITS = {
+  dia: "days", dias: "days", day: "days", days: "days",
+  semana: "weeks", semanas: "weeks", week: "weeks", weeks: "weeks",
+  mes: "months", meses: "months", month: "months", months: "months",
+};
+
+const SHORT_UNITS = {
+  hora: "hours", horas: "hours", hour: "hours", hours: "hours", h: "hours", hr: "hours", hrs: "hours",
+  minuto: "minutes", minutos: "minutes", minute: "minutes", minutes: "minutes", min: "minutes", mins: "minutes",
+};
+
+// "Miércoles" -> "miercoles", "mañana" -> "manana"
+export function normalize(s) {
+  return (s || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function nextWeekday(base, weekday, strict) {
+  let diff = (weekday - base.weekday + 7) % 7;
+  if (diff === 0 && strict) diff = 7;
+  return base.plus({ days: diff });
+}
+
+/**
+ * Parses a day expression relative to `now` (Luxon DateTime in the user's zone).
+ * Returns the start of that day, or null when the text is not a date.
+ */
+export function parseDay(text, now) {
+  const w = normalize(text);
+  if (!w) return null;
+
+  const today = now.startOf("day");
+
+  const iso = w.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    const dt = DateTime.fromObject(
+      { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) },
+      { zone: now.zone }
+    );
+    return dt.isValid ? dt : null;
+  }
+
+  if (w === "hoy" || w === "today") return today;
+  if (w === "pasado manana" || w === "day after tomorrow") return today.plus({ days: 2 });
+  if (w === "manana" || w === "tomorrow") return today.plus({ days: 1 });
+
+  if (/^(fin de mes|end of (the )?month)$/.test(w)) return today.endOf("month").startOf("day");
+  if (/^(fin de semana|weekend|this weekend)$/.test(w)) return nextWeekday(today, 6, false);
+
+  const rel = w.match(/^(?:en|in|dentro de) (\d{1,3}) (\w+)$/);
+  if (rel && UNITS[rel[2]]) return today.plus({ [UNITS[rel[2]]]: Number(rel[1]) });
+
+  const wd = w.match(/^(?:(next|proximo|el proximo|este|this|el)\s+)?(\w+)$/);
+  if (wd && WEEKDAYS[wd[2]]) {
+    // "next tuesday" on a Monday is not tomorrow: it's the one of next week
+    if (wd[1] === "next") return nextWeekday(today.startOf("week").plus({ weeks: 1 }), WEEKDAYS[wd[2]], false);
+    const strict = ["proximo", "el proximo"].includes(wd[1]);
+    return nextWeekday(today, WEEKDAYS[wd[2]], strict);
+  }
+
+  return null;
+}
+
+/* =========================
+TIMES
+========================= */
+
+function to24h(hour, minute, ampm) {
+  if (ampm && hour > 12) return null; // "13pm"
+  let h = hour;
+  if (ampm === "pm" && h < 12) h += 12;
+  if (ampm === "am" && h === 12) h = 0;
+  if (h > 23 || minute > 59) return null;
+  return { hour: h, minute };
+}
+
+// "p.m." / "a. m." -> "pm" / "am"
+function normalizeAmPm(w) {
+  return w.replace(/\b([ap])\.?\s?m\.?(?=\s|$|-)/g, "$1m");
+}
+
+const T = "(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|h)?";
+const RANGE_RE = new RegExp(`(?:\\bde |\\bfrom |\\bbetween )?\\b${T}\\s*(?:-|–|\\ba\\b|\\bto\\b|\\bhasta\\b|\\band\\b|\\by\\b)\\s*${T}(?=\\s|$)`);
+const TIME_COLON_RE = /\b(\d{1,2}):(\d{2})\s*(am|pm|h)?(?=\s|$)/;
+const TIME_AMPM_RE = /\b(\d{1,2})\s*(am|pm|h)(?=\s|$)/;
+const TIME_AT_RE = /\b(?:a las|a la|at|@)\s*(\d{1,2})(?=\s|$)/;
+
+/**
+ * Finds a time or time range inside `w` (already normalized).
+ * Returns { start: {hour, minute}, end?: {hour, minute}, rest } or null,
+ * where `rest` is the text left once the time (and "a las"/"at") is removed.
+ * Throws on out-of-range times ("25:00", "13pm").
+ */
+export function extractTime(w) {
+  const invalid = () => {
+    throw new Error("Hora inválida.");
+  };
+
+  const named = w.match(/\b(mediodia|noon|medianoche|midnight)\b/);
+  if (named) {
+    const hour = ["mediodia", "noon"].includes(named[1]) ? 12 : 0;
+    return { start: { hour, minute: 0 }, rest: w.replace(named[0], " ") };
+  }
+
+  const range = w.match(RANGE_RE);
+  // A range needs at least one marker (":", am/pm, h) so "3-5" in a date is not a time
+  if (range && (range[2] || range[3] || range[5] || range[6])) {
+    const [, h1, m1, ap1, h2, m2, ap2] = range;
+    const end = to24h(Number(h2), Number(m2 || 0), ap2 === "h" ? "" : ap2 || "");
+    if (!end) invalid();
+
+    let startAmPm = ap1 === "h" ? "" : ap1 || "";
+    if (!startAmPm && (ap2 === "am" || ap2 === "pm")) {
+      // "3-5pm" -> 15-17; "11-1pm" -> 11am-1pm
+      const asPm = to24h(Number(h1), Number(m1 || 0), ap2);
+      startAmPm = asPm && asPm.hour * 60 + asPm.minute <= end.hour * 60 + end.minute ? ap2 : "am";
+    }
+    const start = to24h(Number(h1), Number(m1 || 0), startAmPm);
+    if (!start) invalid();
+
+    return { start, end, rest: w.replace(range[0], " ") };
+  }
+
+  const colon = w.match(TIME_COLON_RE);
+  if (colon) {
+    const t = to24h(Number(colon[1]), Number(colon[2]), colon[3] === "h" ? "" : colon[3] || "");
+    if (!t || (colon[3] && colon[3] !== "h" && Number(colon[1]) > 12)) invalid();
+    return { start: t, rest: w.replace(colon[0], " ") };
+  }
+
+  const ampm = w.match(TIME_AMPM_RE);
+  if (ampm) {
+    const t = to24h(Number(ampm[1]), 0, ampm[2] === "h" ? "" : ampm[2]);
+    if (!t || (ampm[2] !== "h" && Number(ampm[1]) > 12)) invalid();
+    return { start: t, rest: w.replace(ampm[0], " ") };
+  }
+
+  const at = w.match(TIME_AT_RE);
+  if (at) {
+    // Nobody books "a las 3" at 3 a.m.: bare 1-7 are p.m. (8-12 and 13-23 as written)
+    const hour = Number(at[1]);
+    const t = to24h(hour, 0, hour >= 1 && hour <= 7 ? "pm" : "");
+    if (!t) invalid();
+    return { start: t, rest: w.replace(at[0], " ") };
+  }
+
+  return null;
+}
+
+/* =========================
+DATE + TIME
+========================= */
+
+/**
+ * Parses a full "when" expression.
+ * Returns { start, end, hasTime } (Luxon DateTimes in `zone`; end may be null)
+ * or null when the text is not a date/time at all.
+ * Throws with a user-facing message on invalid times.
+ */
+export function parseWhen(text, { zone = DEFAULT_TZ, now = DateTime.now() } = {}) {
+  const local = now.setZone(zone);
+
+  let w = normalizeAmPm(normalize(text))
+    // "2026-03-03-15:00" / "2026-03-03T15:00" -> "2026-03-03 15:00"
+    .replace(/\b(\d{4}-\d{2}-\d{2})[t-](?=\d)/g, "$1 ");
+  if (!w) return null;
+
+  // en 2 horas / in 30 min / dentro de una hora
+  const rel = w.match(/^(?:en|in|dentro de) (\d{1,4}|una?|an?) (\w+)$/);
+  if (rel && SHORT_UNITS[rel[2]]) {
+    const n = /^\d+$/.test(rel[1]) ? Number(rel[1]) : 1;
+    const start = local.plus({ [SHORT_UNITS[rel[2]]]: n }).set({ second: 0, millisecond: 0 });
+    return { start, end: null, hasTime: true };
+  }
+
+  // Pull the ISO date out first so its dashes are not read as a range
+  let isoDate = "";
+  w = w.replace(/\b\d{4}-\d{2}-\d{2}\b/, (m) => {
+    isoDate = m;
+    return " ";
+  });
+
+  const time = extractTime(w);
+  const dayText = normalize([isoDate, time ? time.rest : w].join(" "))
+    .replace(/\b(a las|a la|at|el dia|on)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  let day = null;
+  if (dayText) {
+    day = parseDay(dayText, local);
+    if (!day) return null;
+  } else if (!time) {
+    return null;
+  }
+
+  const base = day || local.startOf("day");
+
+  if (!time) return { start: base, end: null, hasTime: false };
+
+  const start = base.set({ ...time.start, second: 0, millisecond: 0 });
+  let end = null;
+  if (time.end) {
+    end = base.set({ ...time.end, second: 0, millisecond: 0 });
+    if (end <= start) end = end.plus({ days: 1 });
+  }
+
+  return { start, end, hasTime: true };
+}
+
+/**
+ * Due date for a task as a JS Date: the exact time when one was given,
+ * otherwise the end of that day. Returns null when the text is not a date.
+ */
+export function parseDueDate(text, opts = {}) {
+  let when;
+  try {
+    when = parseWhen(text, opts);
+  } catch {
+    return null;
+  }
+  if (!when) return null;
+  return (when.hasTime ? when.start : when.start.endOf("day")).toJSDate();
+}
+
+/* =========================
+FORMATTING
+========================= */
+
+// "vie 23 oct" (short, for lists); adds the time when it is not end-of-day
+export function formatDue(date, { zone = DEFAULT_TZ, locale = "es" } = {}) {
+  if (!date) return "";
+  const dt = DateTime.fromJSDate(new Date(date)).setZone(zone).setLocale(locale);
+  const endOfDay = dt.hour === 23 && dt.minute === 59;
+  return dt.toFormat(endOfDay ? "ccc d LLL" : "ccc d LLL h:mm a");
+}
+
+// "Fri – Oct 23 – 3:00 PM" (event confirmations)
+export function prettyDateTime(dt, { zone = DEFAULT_TZ, locale = "en" } = {}) {
+  const d = DateTime.isDateTime(dt) ? dt : DateTime.fromISO(String(dt));
+  return d.setZone(zone).setLocale(locale).toFormat("ccc '–' LLL d '–' h:mm a");
+}
+
+export function isValidZone(zone) {
+  return Boolean(zone) && DateTime.now().setZone(zone).isValid;
+}
@@ -0,0 +1,47 @@
+// reminderTimes.js: which reminder (if any) a task gets, with a pinned "now".
+// Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import { reminderKind, isQuietTime, parseQuietHours } from "../src/reminderTimes.js";
+import { parseDueDate } from "../src/when.js";
+
+const zone = "America/New_York";
+const at = (iso) => DateTime.fromISO(iso, { zone });
+const QUIET = parseQuietHours("22-7");
+
+// Due "viernes" (date only) and "viernes 3pm", set on Monday 2026-10-19
+const MONDAY = at("2026-10-19T10:00:00");
+const dateOnly = { dueAt: parseDueDate("viernes", { zone, now: MONDAY }) };
+const timed = { dueAt: parseDueDate("viernes 3pm", { zone, now: MONDAY }) };
+
+// [now, kind for the date-only task, kind for the 3 p.m. task]; window 120 min
+const CASES = [
+  ["2026-10-22T21:59:00", null, null], // the day before
+  ["2026-10-23T07:00:00", "SOON", null], // morning of the due day: first run after quiet hours
+  ["2026-10-23T12:30:00", "SOON", null],
+  ["2026-10-23T13:00:00", "SOON", "SOON"],
+  ["2026-10-23T15:00:00", "SOON", "OVERDUE"],
+  ["2026-10-23T21:55:00", "SOON", "OVERDUE"],
+  ["2026-10-24T07:00:00", "OVERDUE", "OVERDUE"],
+];
+
+for (const [now, dateOnlyKind, timedKind] of CASES) {
+  test(`reminderKind at ${now}`, () => {
+    assert.equal(reminderKind(dateOnly, at(now), 120), dateOnlyKind);
+    assert.equal(reminderKind(timed, at(now), 120), timedKind);
+  });
+}
+
+test("a date-only due date is reminded on a run outside the default quiet hours", () => {
+  // Every 5 minutes over the due day, as the "reminders" job does
+  const runs = [];
+  for (let t = at("2026-10-23T00:00:00"); t < at("2026-10-24T00:00:00"); t = t.plus({ minutes: 5 })) {
+    if (!isQuietTime(t, QUIET) && reminderKind(dateOnly, t, 120) === "SOON") runs.push(t.toFormat("HH:mm"));
+  }
+  assert.equal(runs[0], "07:00");
+});
+
+test("no due date, no reminder", () => {
+  assert.equal(reminderKind({ dueAt: null }, MONDAY, 120), null);
+});
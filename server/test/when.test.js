@@ -0,0 +1,190 @@
+// when.js: every case runs with a pinned "now" so results never depend on
+// the day the suite runs. Run with: npm test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import { parseWhen, parseDueDate, extractTime, formatDue } from "../src/when.js";
+
+const zone = "America/New_York";
+// Monday 2026-10-19, 10:00 in New York (EDT, -04:00)
+const MONDAY = DateTime.fromISO("2026-10-19T10:00:00", { zone });
+
+const iso = (dt) => dt?.toISO({ suppressMilliseconds: true }) ?? null;
+
+function when(text, now = MONDAY) {
+  const r = parseWhen(text, { zone, now });
+  return r && { start: iso(r.start), end: iso(r.end), hasTime: r.hasTime };
+}
+
+// [input, start, hasTime]
+const DAYS = [
+  ["hoy", "2026-10-19T00:00:00-04:00"],
+  ["today", "2026-10-19T00:00:00-04:00"],
+  ["mañana", "2026-10-20T00:00:00-04:00"],
+  ["tomorrow", "2026-10-20T00:00:00-04:00"],
+  ["pasado mañana", "2026-10-21T00:00:00-04:00"],
+  ["day after tomorrow", "2026-10-21T00:00:00-04:00"],
+  ["en 3 días", "2026-10-22T00:00:00-04:00"],
+  ["in 2 weeks", "2026-11-02T00:00:00-05:00"],
+  ["en 1 mes", "2026-11-19T00:00:00-05:00"],
+  ["fin de mes", "2026-10-31T00:00:00-04:00"],
+  ["fin de semana", "2026-10-24T00:00:00-04:00"],
+  ["2026-03-15", "2026-03-15T00:00:00-04:00"],
+  // Weekdays, both languages: the coming one, today included
+  ["lunes", "2026-10-19T00:00:00-04:00"],
+  ["monday", "2026-10-19T00:00:00-04:00"],
+  ["martes", "2026-10-20T00:00:00-04:00"],
+  ["tuesday", "2026-10-20T00:00:00-04:00"],
+  ["miércoles", "2026-10-21T00:00:00-04:00"],
+  ["wed", "2026-10-21T00:00:00-04:00"],
+  ["jueves", "2026-10-22T00:00:00-04:00"],
+  ["viernes", "2026-10-23T00:00:00-04:00"],
+  ["Friday", "2026-10-23T00:00:00-04:00"],
+  ["este viernes", "2026-10-23T00:00:00-04:00"],
+  ["this friday", "2026-10-23T00:00:00-04:00"],
+  ["sábado", "2026-10-24T00:00:00-04:00"],
+  ["sunday", "2026-10-25T00:00:00-04:00"],
+  // "próximo": after today; "next": next week's
+  ["próximo lunes", "2026-10-26T00:00:00-04:00"],
+  ["el próximo martes", "2026-10-20T00:00:00-04:00"],
+  ["next monday", "2026-10-26T00:00:00-04:00"],
+  ["next tuesday", "2026-10-27T00:00:00-04:00"],
+  ["next sunday", "2026-11-01T00:00:00-04:00"],
+];
+
+const TIMES = [
+  // Relative
+  ["en 2 horas", "2026-10-19T12:00:00-04:00"],
+  ["in 30 min", "2026-10-19T10:30:00-04:00"],
+  ["dentro de una hora", "2026-10-19T11:00:00-04:00"],
+  ["in an hour", "2026-10-19T11:00:00-04:00"],
+  // 12h
+  ["9pm", "2026-10-19T21:00:00-04:00"],
+  ["9 pm", "2026-10-19T21:00:00-04:00"],
+  ["9 p.m.", "2026-10-19T21:00:00-04:00"],
+  ["9:30 am", "2026-10-19T09:30:00-04:00"],
+  ["12am", "2026-10-19T00:00:00-04:00"],
+  ["12pm", "2026-10-19T12:00:00-04:00"],
+  ["mediodía", "2026-10-19T12:00:00-04:00"],
+  ["midnight", "2026-10-19T00:00:00-04:00"],
+  // 24h
+  ["15:00", "2026-10-19T15:00:00-04:00"],
+  ["15h", "2026-10-19T15:00:00-04:00"],
+  ["a las 15:30", "2026-10-19T15:30:00-04:00"],
+  ["08:05", "2026-10-19T08:05:00-04:00"],
+  // Bare hours after "a las" / "at": 1-7 are p.m.
+  ["el viernes a las 3", "2026-10-23T15:00:00-04:00"],
+  ["at 5", "2026-10-19T17:00:00-04:00"],
+  ["a las 8", "2026-10-19T08:00:00-04:00"],
+  ["at 11", "2026-10-19T11:00:00-04:00"],
+  ["a las 18", "2026-10-19T18:00:00-04:00"],
+  // Day + time
+  ["mañana 9pm", "2026-10-20T21:00:00-04:00"],
+  ["viernes 3pm", "2026-10-23T15:00:00-04:00"],
+  ["next tuesday 10am", "2026-10-27T10:00:00-04:00"],
+  ["pasado mañana a las 9:15", "2026-10-21T09:15:00-04:00"],
+  ["2026-03-03 15:00", "2026-03-03T15:00:00-05:00"],
+  ["2026-03-03T15:00", "2026-03-03T15:00:00-05:00"],
+  ["2026-03-03-15:00", "2026-03-03T15:00:00-05:00"],
+];
+
+// [input, start, end]
+const RANGES = [
+  ["3-5pm", "2026-10-19T15:00:00-04:00", "2026-10-19T17:00:00-04:00"],
+  ["11-1pm", "2026-10-19T11:00:00-04:00", "2026-10-19T13:00:00-04:00"],
+  ["15:00-16:30", "2026-10-19T15:00:00-04:00", "2026-10-19T16:30:00-04:00"],
+  ["de 3 a 5pm", "2026-10-19T15:00:00-04:00", "2026-10-19T17:00:00-04:00"],
+  ["from 9am to 11am", "2026-10-19T09:00:00-04:00", "2026-10-19T11:00:00-04:00"],
+  ["mañana 3-5pm", "2026-10-20T15:00:00-04:00", "2026-10-20T17:00:00-04:00"],
+  ["10pm-1am", "2026-10-19T22:00:00-04:00", "2026-10-20T01:00:00-04:00"],
+  ["2026-03-15 9-10am", "2026-03-15T09:00:00-04:00", "2026-03-15T10:00:00-04:00"],
+];
+
+for (const [text, start] of DAYS) {
+  test(`day: "${text}"`, () => {
+    assert.deepEqual(when(text), { start, end: null, hasTime: false });
+  });
+}
+
+for (const [text, start] of TIMES) {
+  test(`time: "${text}"`, () => {
+    assert.deepEqual(when(text), { start, end: null, hasTime: true });
+  });
+}
+
+for (const [text, start, end] of RANGES) {
+  test(`range: "${text}"`, () => {
+    assert.deepEqual(when(text), { start, end, hasTime: true });
+  });
+}
+
+/* =========================
+DST (America/New_York: 2026-03-08 02:00 -> 03:00, 2026-11-01 02:00 -> 01:00)
+========================= */
+
+const DST = [
+  // Spring forward: the day before at noon
+  ["mañana 9am", "2026-03-07T12:00:00", "2026-03-08T09:00:00-04:00"],
+  ["en 24 horas", "2026-03-07T12:00:00", "2026-03-08T13:00:00-04:00"],
+  ["mañana 2:30am", "2026-03-07T12:00:00", "2026-03-08T03:30:00-04:00"], // 02:30 doesn't exist
+  ["en 1 hora", "2026-03-08T01:30:00", "2026-03-08T03:30:00-04:00"],
+  // Fall back
+  ["mañana 9am", "2026-10-31T12:00:00", "2026-11-01T09:00:00-05:00"],
+  ["en 24 horas", "2026-10-31T12:00:00", "2026-11-01T11:00:00-05:00"],
+  ["mañana 1:30am", "2026-10-31T12:00:00", "2026-11-01T01:30:00-04:00"], // first of the two 01:30
+  ["en 2 horas", "2026-11-01T00:30:00", "2026-11-01T01:30:00-05:00"],
+];
+
+for (const [text, now, start] of DST) {
+  test(`DST: "${text}" at ${now}`, () => {
+    assert.equal(when(text, DateTime.fromISO(now, { zone })).start, start);
+  });
+}
+
+test("DST: a range across the spring-forward night keeps its wall-clock times", () => {
+  const r = when("sábado 10pm-1am", DateTime.fromISO("2026-03-05T12:00:00", { zone }));
+  assert.deepEqual(r, { start: "2026-03-07T22:00:00-05:00", end: "2026-03-08T01:00:00-05:00", hasTime: true });
+});
+
+/* =========================
+REJECTIONS
+========================= */
+
+for (const text of ["2026", "", "   ", "blah", "cuando puedas", "lunes azul"]) {
+  test(`not a date: "${text}"`, () => {
+    assert.equal(parseWhen(text, { zone, now: MONDAY }), null);
+  });
+}
+
+for (const text of ["13pm", "25:00", "24:00", "9:75", "mañana 13pm", "3-13pm"]) {
+  test(`invalid time throws: "${text}"`, () => {
+    assert.throws(() => parseWhen(text, { zone, now: MONDAY }), /Hora inválida/);
+  });
+}
+
+test("extractTime leaves a bare year alone", () => {
+  assert.equal(extractTime("2026"), null);
+});
+
+/* =========================
+parseDueDate / formatDue
+========================= */
+
+const DUE = [
+  ["viernes", "2026-10-24T03:59:59.999Z"], // end of that day, local
+  ["viernes 3pm", "2026-10-23T19:00:00.000Z"],
+  ["en 2 horas", "2026-10-19T16:00:00.000Z"],
+  ["25:00", null],
+  ["2026", null],
+];
+
+for (const [text, due] of DUE) {
+  test(`parseDueDate: "${text}"`, () => {
+    assert.equal(parseDueDate(text, { zone, now: MONDAY })?.toISOString() ?? null, due);
+  });
+}
+
+test("formatDue hides the time of end-of-day due dates", () => {
+  assert.equal(formatDue(new Date("2026-10-24T03:59:59.999Z"), { zone, locale: "es" }), "vie 23 oct");
+  assert.match(formatDue(new Date("2026-10-23T19:00:00Z"), { zone, locale: "en" }), /^Fri 23 Oct 3:00 PM$/);
+});